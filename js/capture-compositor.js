@@ -0,0 +1,239 @@
+/**
+ * Capture compositing shared by the page and the capture worker
+ * Draws a capture job (camera frame, segmentation layers, characters, strip cells, frame overlay)
+ * onto any 2D context, so the same code runs on an OffscreenCanvas in js/capture-worker.js and on
+ * a regular canvas where the worker isn't available (Safari without OffscreenCanvas).
+ *
+ * A job is { width, height, background, scene, cells, frame }, all optional except the size:
+ * - scene: { camera: { image, x, y, width, height }, mirror, zoom, filter, segmentation, cutout,
+ *   backdrop, backdropColor, characters: [{ image, placement }] } - see PhotoBoothApp.getScene
+ * - cells: [{ image, x, y, width, height }] for strips
+ * - frame: the frame template pre-rendered at the job's size
+ */
+
+class CaptureCompositor {
+    /**
+     * Draw a job: background colour, scene, strip cells, then the frame overlay
+     */
+    static compose(ctx, job) {
+        const { width, height } = job;
+
+        if (job.background) {
+            ctx.fillStyle = job.background;
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        if (job.scene) {
+            CaptureCompositor.drawScene(ctx, job.scene, width, height);
+        }
+
+        (job.cells || []).forEach(cell => {
+            ctx.drawImage(cell.image, cell.x, cell.y, cell.width, cell.height);
+        });
+
+        if (job.frame) {
+            ctx.drawImage(job.frame, 0, 0, width, height);
+        }
+    }
+
+    /**
+     * Draw camera feed and character overlays exactly as they appear on screen
+     */
+    static drawScene(ctx, scene, targetWidth, targetHeight) {
+        // Source rectangle of the camera layer: the whole video frame, or the still's preview-aligned crop
+        const frame = scene.camera;
+
+        // Camera video uses object-fit: cover (crop to fill while maintaining aspect ratio)
+        const videoAspect = frame.width / frame.height;
+        const canvasAspect = targetWidth / targetHeight;
+
+        let cameraDrawWidth, cameraDrawHeight, cameraDrawX, cameraDrawY;
+
+        if (videoAspect > canvasAspect) {
+            // Video is wider than canvas - crop width
+            cameraDrawHeight = targetHeight;
+            cameraDrawWidth = targetHeight * videoAspect;
+            cameraDrawX = (targetWidth - cameraDrawWidth) / 2;
+            cameraDrawY = 0;
+        } else {
+            // Video is taller than canvas - crop height
+            cameraDrawWidth = targetWidth;
+            cameraDrawHeight = targetWidth / videoAspect;
+            cameraDrawX = 0;
+            cameraDrawY = (targetHeight - cameraDrawHeight) / 2;
+        }
+
+        // Digital zoom crops around the center, matching the scaled preview
+        if (scene.zoom !== 1) {
+            const zoom = scene.zoom;
+            cameraDrawX = targetWidth / 2 - (targetWidth / 2 - cameraDrawX) * zoom;
+            cameraDrawY = targetHeight / 2 - (targetHeight / 2 - cameraDrawY) * zoom;
+            cameraDrawWidth *= zoom;
+            cameraDrawHeight *= zoom;
+        }
+
+        // Photo filter applies to the camera layer only - the character stays unfiltered
+        const filter = scene.filter;
+        const useCanvasFilter = filter.id !== 'none' && 'filter' in ctx;
+
+        // Draw camera video (or the person cut out of it) with proper object-fit: cover scaling
+        const drawCameraLayer = (layerCtx, source) => {
+            layerCtx.save();
+            if (useCanvasFilter) {
+                layerCtx.filter = PhotoFilters.toFilterString(filter, targetWidth);
+            }
+            const { x, y, width, height } = frame;
+            if (scene.mirror) {
+                // Mirror cameras facing the guest like the preview does
+                layerCtx.scale(-1, 1);
+                layerCtx.drawImage(source, x, y, width, height, -cameraDrawX - cameraDrawWidth, cameraDrawY, cameraDrawWidth, cameraDrawHeight);
+            } else {
+                layerCtx.drawImage(source, x, y, width, height, cameraDrawX, cameraDrawY, cameraDrawWidth, cameraDrawHeight);
+            }
+            layerCtx.restore();
+
+            // No ctx.filter (older Safari) - same filter functions applied per pixel
+            if (filter.id !== 'none' && !useCanvasFilter) {
+                PhotoFilters.applyToCanvas(layerCtx, filter, 0, 0, targetWidth, targetHeight);
+            }
+        };
+
+        // Segmentation: the backdrop and the person cut out of this exact frame, or normal layering.
+        // The cut-out gets its own layer so the per-pixel filter fallback leaves the backdrop alone, as the preview does
+        if (scene.cutout && scene.segmentation === 'background') {
+            CaptureCompositor.drawBackdrop(ctx, scene.backdrop, scene.backdropColor, targetWidth, targetHeight);
+            const layer = CaptureCompositor.createCanvas(targetWidth, targetHeight);
+            drawCameraLayer(layer.getContext('2d'), scene.cutout);
+            ctx.drawImage(layer, 0, 0);
+        } else {
+            drawCameraLayer(ctx, frame.image);
+        }
+
+        // Every character back to front, showing the same clip (pose or idle loop) as the preview
+        scene.characters.forEach(({ image, placement }) => {
+            try {
+                const size = CaptureCompositor.sourceSize(image);
+                const overlayAspect = size.width / size.height;
+                let overlayDrawWidth, overlayDrawHeight, overlayDrawX, overlayDrawY;
+
+                if (overlayAspect > canvasAspect) {
+                    // Overlay is wider - scale to fit width
+                    overlayDrawWidth = targetWidth;
+                    overlayDrawHeight = targetWidth / overlayAspect;
+                    overlayDrawX = 0;
+                    overlayDrawY = (targetHeight - overlayDrawHeight) / 2;
+                } else {
+                    // Overlay is taller - scale to fit height
+                    overlayDrawHeight = targetHeight;
+                    overlayDrawWidth = targetHeight * overlayAspect;
+                    overlayDrawX = (targetWidth - overlayDrawWidth) / 2;
+                    overlayDrawY = 0;
+                }
+
+                // Reproduce the guest's placement around the view center, like the preview's CSS transform
+                const { x, y, scale, flip } = placement;
+                ctx.save();
+                ctx.translate(targetWidth * (0.5 + x), targetHeight * (0.5 + y));
+                ctx.scale(flip ? -scale : scale, scale);
+                try {
+                    ctx.drawImage(
+                        image,
+                        overlayDrawX - targetWidth / 2,
+                        overlayDrawY - targetHeight / 2,
+                        overlayDrawWidth,
+                        overlayDrawHeight
+                    );
+                } finally {
+                    ctx.restore();
+                }
+            } catch (error) {
+                console.warn('Video overlay capture failed:', error);
+            }
+        });
+
+        // Guest in front of the characters: the cut-out goes on top, on its own layer so the filter skips the characters
+        if (scene.cutout && scene.segmentation === 'front') {
+            const layer = CaptureCompositor.createCanvas(targetWidth, targetHeight);
+            drawCameraLayer(layer.getContext('2d'), scene.cutout);
+            ctx.drawImage(layer, 0, 0);
+        }
+    }
+
+    /**
+     * Draw the backdrop image like CSS background-size: cover (never mirrored)
+     */
+    static drawBackdrop(ctx, image, color, targetWidth, targetHeight) {
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, targetWidth, targetHeight);
+        if (!image) return;
+
+        const size = CaptureCompositor.sourceSize(image);
+        const scale = Math.max(targetWidth / size.width, targetHeight / size.height);
+        const width = size.width * scale;
+        const height = size.height * scale;
+        ctx.drawImage(image, (targetWidth - width) / 2, (targetHeight - height) / 2, width, height);
+    }
+
+    /**
+     * Pixel size of a video, image, canvas or ImageBitmap
+     */
+    static sourceSize(image) {
+        return {
+            width: image.videoWidth || image.naturalWidth || image.width,
+            height: image.videoHeight || image.naturalHeight || image.height
+        };
+    }
+
+    /**
+     * Scratch canvas: OffscreenCanvas where available (always in the worker), otherwise a canvas element
+     */
+    static createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Encode a canvas or OffscreenCanvas to a Blob
+     */
+    static encode(canvas, type, quality) {
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type, quality });
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`Failed to encode ${type}`))), type, quality);
+        });
+    }
+
+    /**
+     * The job's source ImageBitmaps (transferred to the worker; the frame overlay is copied instead)
+     */
+    static bitmaps(job) {
+        const scene = job.scene;
+        const images = [];
+
+        if (scene) {
+            images.push(scene.camera.image, scene.cutout, scene.backdrop);
+            scene.characters.forEach(character => images.push(character.image));
+        }
+        (job.cells || []).forEach(cell => images.push(cell.image));
+
+        return images.filter(image => typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap);
+    }
+
+    /**
+     * Free the job's ImageBitmaps once it has been drawn
+     */
+    static release(job) {
+        CaptureCompositor.bitmaps(job).forEach(bitmap => bitmap.close());
+        if (typeof ImageBitmap !== 'undefined' && job.frame instanceof ImageBitmap) {
+            job.frame.close();
+        }
+    }
+}
@@ -0,0 +1,23 @@
+/**
+ * Capture worker
+ * Composites and encodes captures on an OffscreenCanvas so the flash animation and pose videos keep
+ * running on the page. Jobs arrive with their source images as transferred ImageBitmaps (see
+ * CaptureCompositor); the encoded Blob is posted back with the job id.
+ */
+
+importScripts('photo-filters.js', 'capture-compositor.js');
+
+self.addEventListener('message', async (event) => {
+    const { id, job, type, quality } = event.data;
+
+    try {
+        const canvas = new OffscreenCanvas(job.width, job.height);
+        CaptureCompositor.compose(canvas.getContext('2d'), job);
+        const blob = await CaptureCompositor.encode(canvas, type, quality);
+        self.postMessage({ id, blob });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    } finally {
+        CaptureCompositor.release(job);
+    }
+});
@@ -0,0 +1,245 @@
+/**
+ * Minimal animated GIF (GIF89a) encoder
+ * Builds one shared 256-colour palette for all frames with median cut, then LZW-encodes each frame.
+ * Adding the same ImageData more than once (e.g. for a boomerang loop) reuses its encoded bytes.
+ */
+
+class GifEncoder {
+    constructor(width, height, { delay = 100, loop = 0 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.delay = delay; // milliseconds per frame
+        this.loop = loop;   // 0 = loop forever
+        this.frames = [];
+    }
+
+    /**
+     * Queue a frame (ImageData at the encoder's size)
+     */
+    addFrame(imageData) {
+        this.frames.push(imageData);
+    }
+
+    /**
+     * Encode all queued frames. Yields to the event loop between frames so spinners keep animating.
+     * Resolves to a Blob of type image/gif.
+     */
+    async encode() {
+        const uniqueFrames = [...new Set(this.frames)];
+        const palette = this.buildPalette(uniqueFrames);
+        const lookup = new Int16Array(32768).fill(-1);
+        const encodedFrames = new Map();
+
+        const bytes = [];
+        const writeShort = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+        const writeString = (text) => {
+            for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i));
+        };
+
+        // Header and logical screen descriptor with a 256-entry global colour table
+        writeString('GIF89a');
+        writeShort(this.width);
+        writeShort(this.height);
+        bytes.push(0xf7, 0, 0);
+        for (let i = 0; i < 256; i++) {
+            const color = palette[i] || [0, 0, 0];
+            bytes.push(color[0], color[1], color[2]);
+        }
+
+        // NETSCAPE2.0 application extension for looping
+        bytes.push(0x21, 0xff, 0x0b);
+        writeString('NETSCAPE2.0');
+        bytes.push(0x03, 0x01);
+        writeShort(this.loop);
+        bytes.push(0x00);
+
+        const delay = Math.max(2, Math.round(this.delay / 10)); // hundredths of a second
+
+        for (const frame of this.frames) {
+            if (!encodedFrames.has(frame)) {
+                const indices = this.mapToPalette(frame, palette, lookup);
+                encodedFrames.set(frame, this.lzwEncode(indices, 8));
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            // Graphic control extension (no transparency, no disposal)
+            bytes.push(0x21, 0xf9, 0x04, 0x00);
+            writeShort(delay);
+            bytes.push(0x00, 0x00);
+
+            // Image descriptor covering the whole canvas, no local colour table
+            bytes.push(0x2c);
+            writeShort(0);
+            writeShort(0);
+            writeShort(this.width);
+            writeShort(this.height);
+            bytes.push(0x00);
+
+            bytes.push(8);
+            const data = encodedFrames.get(frame);
+            for (let offset = 0; offset < data.length; offset += 255) {
+                const block = data.subarray(offset, offset + 255);
+                bytes.push(block.length);
+                for (let i = 0; i < block.length; i++) bytes.push(block[i]);
+            }
+            bytes.push(0x00);
+        }
+
+        bytes.push(0x3b);
+
+        return new Blob([new Uint8Array(bytes)], { type: 'image/gif' });
+    }
+
+    /**
+     * Median-cut palette from a sample of pixels across all frames
+     */
+    buildPalette(frames) {
+        const samples = [];
+        const targetSamples = 60000;
+
+        for (const frame of frames) {
+            const pixelCount = frame.data.length / 4;
+            const stride = Math.max(1, Math.floor((pixelCount * frames.length) / targetSamples));
+            for (let p = 0; p < pixelCount; p += stride) {
+                const i = p * 4;
+                samples.push([frame.data[i], frame.data[i + 1], frame.data[i + 2]]);
+            }
+        }
+
+        let boxes = [samples];
+        while (boxes.length < 256) {
+            // Split the box with the widest channel range
+            let bestBox = -1;
+            let bestRange = 0;
+            let bestChannel = 0;
+
+            boxes.forEach((box, index) => {
+                if (box.length < 2) return;
+                for (let channel = 0; channel < 3; channel++) {
+                    let min = 255;
+                    let max = 0;
+                    for (const color of box) {
+                        if (color[channel] < min) min = color[channel];
+                        if (color[channel] > max) max = color[channel];
+                    }
+                    if (max - min > bestRange) {
+                        bestRange = max - min;
+                        bestBox = index;
+                        bestChannel = channel;
+                    }
+                }
+            });
+
+            if (bestBox === -1) break;
+
+            const box = boxes[bestBox].sort((a, b) => a[bestChannel] - b[bestChannel]);
+            const middle = box.length >> 1;
+            boxes.splice(bestBox, 1, box.slice(0, middle), box.slice(middle));
+        }
+
+        return boxes.map(box => {
+            const sum = [0, 0, 0];
+            for (const color of box) {
+                sum[0] += color[0];
+                sum[1] += color[1];
+                sum[2] += color[2];
+            }
+            const count = box.length || 1;
+            return sum.map(value => Math.round(value / count));
+        });
+    }
+
+    /**
+     * Map frame pixels to palette indices, caching nearest colours at 15-bit precision
+     */
+    mapToPalette(frame, palette, lookup) {
+        const data = frame.data;
+        const indices = new Uint8Array(data.length / 4);
+
+        for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+            const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+            let index = lookup[key];
+
+            if (index === -1) {
+                let bestDistance = Infinity;
+                for (let c = 0; c < palette.length; c++) {
+                    const dr = data[i] - palette[c][0];
+                    const dg = data[i + 1] - palette[c][1];
+                    const db = data[i + 2] - palette[c][2];
+                    const distance = dr * dr + dg * dg + db * db;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        index = c;
+                    }
+                }
+                lookup[key] = index;
+            }
+
+            indices[p] = index;
+        }
+
+        return indices;
+    }
+
+    /**
+     * GIF-flavoured variable-length LZW, returned as raw bytes (not yet split into sub-blocks)
+     */
+    lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                output.push(bitBuffer & 0xff);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            const code = table.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+
+            if (nextCode === 4096) {
+                emit(clearCode);
+                table = new Map();
+                nextCode = endCode + 1;
+                codeSize = minCodeSize + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+
+            prefix = k;
+        }
+
+        emit(prefix);
+        emit(endCode);
+
+        if (bitCount > 0) {
+            output.push(bitBuffer & 0xff);
+        }
+
+        return new Uint8Array(output);
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Person segmentation for layering the guest in front of the character or over a backdrop
+ * Wraps the MediaPipe Tasks image segmenter (selfie_segmenter model, CPU/WASM), loaded from
+ * files hosted next to the app so it works offline. Everything is optional: if the bundle or
+ * model is missing, or the device can't keep up, callers fall back to normal layering.
+ */
+
+class PersonSegmenter {
+    constructor({ bundleUrl, wasmUrl, modelUrl, maxFrameMs = 50 } = {}) {
+        this.bundleUrl = bundleUrl;
+        this.wasmUrl = wasmUrl;
+        this.modelUrl = modelUrl;
+        this.maxFrameMs = maxFrameMs; // average segmentation time above which the device counts as too slow
+        this.segmenter = null;
+        this.lastTimestamp = 0;
+        this.frameCount = 0;
+        this.averageMs = 0;
+        this.maskCanvas = document.createElement('canvas');
+        this.cutoutCanvas = document.createElement('canvas');
+    }
+
+    /**
+     * Load the WASM runtime and model. Resolves to false (never rejects) if they can't be loaded.
+     */
+    async load() {
+        try {
+            // Resolve against the page, not this script, so config paths match the other assets
+            const vision = await import(new URL(this.bundleUrl, document.baseURI).href);
+            const fileset = await vision.FilesetResolver.forVisionTasks(new URL(this.wasmUrl, document.baseURI).href);
+
+            this.segmenter = await vision.ImageSegmenter.createFromOptions(fileset, {
+                baseOptions: { modelAssetPath: this.modelUrl, delegate: 'CPU' },
+                runningMode: 'VIDEO',
+                outputCategoryMask: false,
+                outputConfidenceMasks: true
+            });
+
+            console.log('🧍 Person segmentation model loaded');
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Person segmentation unavailable:', error);
+            return false;
+        }
+    }
+
+    get ready() {
+        return this.segmenter !== null;
+    }
+
+    /**
+     * Whether segmentation has been averaging slower than maxFrameMs (after a short warm-up)
+     */
+    get tooSlow() {
+        return this.frameCount >= 10 && this.averageMs > this.maxFrameMs;
+    }
+
+    /**
+     * Cut the person out of the current video frame (or a still image).
+     * Returns a canvas the size of the source with everything but the person transparent, or null.
+     */
+    cutout(source) {
+        const width = source.videoWidth || source.width;
+        const height = source.videoHeight || source.height;
+        if (!this.segmenter || source.readyState < 2 || !width) return null;
+
+        const started = performance.now();
+        // VIDEO mode needs strictly increasing timestamps
+        const timestamp = Math.max(started, this.lastTimestamp + 1);
+        this.lastTimestamp = timestamp;
+
+        let result = null;
+        try {
+            result = this.segmenter.segmentForVideo(source, timestamp);
+            const mask = result.confidenceMasks && result.confidenceMasks[0];
+            if (!mask) return null;
+
+            this.drawMask(mask.getAsFloat32Array(), mask.width, mask.height);
+        } catch (error) {
+            console.warn('⚠️ Person segmentation failed:', error);
+            return null;
+        } finally {
+            if (result) result.close();
+        }
+
+        // Video frame, then keep only the pixels under the (smoothly upscaled) mask
+        const canvas = this.cutoutCanvas;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.globalCompositeOperation = 'copy';
+        ctx.drawImage(source, 0, 0, width, height);
+        ctx.globalCompositeOperation = 'destination-in';
+        ctx.drawImage(this.maskCanvas, 0, 0, canvas.width, canvas.height);
+        ctx.globalCompositeOperation = 'source-over';
+
+        this.recordTiming(performance.now() - started);
+        return canvas;
+    }
+
+    /**
+     * Person confidence (0-1 per pixel) to an alpha mask
+     */
+    drawMask(confidence, width, height) {
+        const canvas = this.maskCanvas;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(width, height);
+        const pixels = image.data;
+
+        for (let i = 0; i < confidence.length; i++) {
+            const offset = i * 4;
+            pixels[offset] = 255;
+            pixels[offset + 1] = 255;
+            pixels[offset + 2] = 255;
+            pixels[offset + 3] = confidence[i] * 255;
+        }
+
+        ctx.putImageData(image, 0, 0);
+    }
+
+    /**
+     * Running average of segmentation time, weighted towards recent frames
+     */
+    recordTiming(ms) {
+        this.frameCount++;
+        this.averageMs = this.frameCount === 1 ? ms : this.averageMs * 0.9 + ms * 0.1;
+    }
+
+    close() {
+        if (this.segmenter) {
+            this.segmenter.close();
+            this.segmenter = null;
+        }
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * Photo filters for the camera layer
+ * Each filter is a CSS filter string, so the live preview (CSS on the camera video) and the capture
+ * (Canvas 2D ctx.filter) use the same functions. Browsers without ctx.filter (older Safari) get a
+ * per-pixel implementation of the same functions. No WebGL needed.
+ */
+
+class PhotoFilters {
+    /**
+     * Available filters, in swipe order. `blur` is a fraction of the rendered width so softening
+     * looks the same on the small preview and the full-size capture.
+     */
+    static get list() {
+        return [
+            { id: 'none', name: 'Original', filter: '' },
+            { id: 'bw', name: 'Black & White', filter: 'grayscale(1) contrast(1.1)' },
+            { id: 'sepia', name: 'Sepia', filter: 'sepia(0.9)' },
+            { id: 'warm', name: 'Warm', filter: 'sepia(0.25) saturate(1.3) brightness(1.05)' },
+            { id: 'vintage', name: 'Vintage', filter: 'sepia(0.45) contrast(0.9) brightness(1.08) saturate(0.8)' },
+            { id: 'high-contrast', name: 'High Contrast', filter: 'contrast(1.5) saturate(1.2)' },
+            { id: 'beauty', name: 'Beauty', filter: 'brightness(1.06) saturate(1.05) contrast(0.95)', blur: 0.0015 }
+        ];
+    }
+
+    /**
+     * Look up a filter by id (falls back to no filter)
+     */
+    static get(id) {
+        return PhotoFilters.list.find(filter => filter.id === id) || PhotoFilters.list[0];
+    }
+
+    /**
+     * Whether Canvas 2D supports ctx.filter natively
+     */
+    static get canvasFilterSupported() {
+        return typeof CanvasRenderingContext2D !== 'undefined' &&
+            'filter' in CanvasRenderingContext2D.prototype;
+    }
+
+    /**
+     * CSS filter string for a filter rendered at the given pixel width
+     */
+    static toFilterString(filter, renderedWidth) {
+        const parts = [];
+        if (filter.filter) parts.push(filter.filter);
+        if (filter.blur) parts.push(`blur(${(filter.blur * renderedWidth).toFixed(2)}px)`);
+        return parts.join(' ') || 'none';
+    }
+
+    /**
+     * Apply a filter in place to a region of a canvas using pixel operations
+     * (used when ctx.filter is unavailable)
+     */
+    static applyToCanvas(ctx, filter, x, y, width, height) {
+        const filterString = PhotoFilters.toFilterString(filter, width);
+        if (filterString === 'none') return;
+
+        const imageData = ctx.getImageData(x, y, width, height);
+        const functionPattern = /([a-z-]+)\(([^)]+)\)/g;
+        let match;
+
+        while ((match = functionPattern.exec(filterString)) !== null) {
+            const name = match[1];
+            const rawValue = match[2].trim();
+            const value = rawValue.endsWith('%') ? parseFloat(rawValue) / 100 : parseFloat(rawValue);
+
+            switch (name) {
+                case 'grayscale':
+                    PhotoFilters.applyMatrix(imageData.data, PhotoFilters.grayscaleMatrix(Math.min(value, 1)));
+                    break;
+                case 'sepia':
+                    PhotoFilters.applyMatrix(imageData.data, PhotoFilters.sepiaMatrix(Math.min(value, 1)));
+                    break;
+                case 'saturate':
+                    PhotoFilters.applyMatrix(imageData.data, PhotoFilters.saturateMatrix(value));
+                    break;
+                case 'brightness':
+                    PhotoFilters.applyLinear(imageData.data, value, 0);
+                    break;
+                case 'contrast':
+                    PhotoFilters.applyLinear(imageData.data, value, 255 * (0.5 - 0.5 * value));
+                    break;
+                case 'blur':
+                    PhotoFilters.applyBoxBlur(imageData, Math.round(value));
+                    break;
+                default:
+                    console.warn('⚠️ Unsupported filter function in pixel fallback:', name);
+            }
+        }
+
+        ctx.putImageData(imageData, x, y);
+    }
+
+    // Colour matrices from the Filter Effects spec (sRGB)
+
+    static grayscaleMatrix(amount) {
+        const s = 1 - amount;
+        return [
+            0.2126 + 0.7874 * s, 0.7152 - 0.7152 * s, 0.0722 - 0.0722 * s,
+            0.2126 - 0.2126 * s, 0.7152 + 0.2848 * s, 0.0722 - 0.0722 * s,
+            0.2126 - 0.2126 * s, 0.7152 - 0.7152 * s, 0.0722 + 0.9278 * s
+        ];
+    }
+
+    static sepiaMatrix(amount) {
+        const s = 1 - amount;
+        return [
+            0.393 + 0.607 * s, 0.769 - 0.769 * s, 0.189 - 0.189 * s,
+            0.349 - 0.349 * s, 0.686 + 0.314 * s, 0.168 - 0.168 * s,
+            0.272 - 0.272 * s, 0.534 - 0.534 * s, 0.131 + 0.869 * s
+        ];
+    }
+
+    static saturateMatrix(s) {
+        return [
+            0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+            0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+            0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s
+        ];
+    }
+
+    static applyMatrix(data, m) {
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+            // Uint8ClampedArray clamps and rounds each channel like the spec's per-primitive clamp
+            data[i] = m[0] * r + m[1] * g + m[2] * b;
+            data[i + 1] = m[3] * r + m[4] * g + m[5] * b;
+            data[i + 2] = m[6] * r + m[7] * g + m[8] * b;
+        }
+    }
+
+    static applyLinear(data, slope, intercept) {
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = data[i] * slope + intercept;
+            data[i + 1] = data[i + 1] * slope + intercept;
+            data[i + 2] = data[i + 2] * slope + intercept;
+        }
+    }
+
+    /**
+     * Three box blur passes approximate the Gaussian blur CSS uses
+     */
+    static applyBoxBlur(imageData, radius) {
+        if (radius < 1) return;
+
+        const { data, width, height } = imageData;
+        const buffer = new Uint8ClampedArray(data.length);
+
+        for (let pass = 0; pass < 3; pass++) {
+            PhotoFilters.boxBlurPass(data, buffer, width, height, radius, 4, width * 4);
+            PhotoFilters.boxBlurPass(buffer, data, height, width, radius, width * 4, 4);
+        }
+    }
+
+    /**
+     * One-dimensional running-sum blur. `step` moves along a line, `lineStep` moves to the next line.
+     */
+    static boxBlurPass(source, target, length, lines, radius, step, lineStep) {
+        const span = radius * 2 + 1;
+
+        for (let line = 0; line < lines; line++) {
+            const start = line * lineStep;
+
+            for (let channel = 0; channel < 4; channel++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const index = Math.min(Math.max(k, 0), length - 1);
+                    sum += source[start + index * step + channel];
+                }
+
+                for (let p = 0; p < length; p++) {
+                    target[start + p * step + channel] = sum / span;
+
+                    const outIndex = Math.max(p - radius, 0);
+                    const inIndex = Math.min(p + radius + 1, length - 1);
+                    sum += source[start + inIndex * step + channel] - source[start + outIndex * step + channel];
+                }
+            }
+        }
+    }
+}
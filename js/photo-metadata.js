@@ -0,0 +1,284 @@
+/**
+ * EXIF and XMP metadata for captured JPEGs
+ * Canvas encoders write no metadata, so photos sort by download time in camera rolls and carry
+ * no attribution. This inserts an EXIF segment (date taken, orientation, software, artist,
+ * copyright, optional GPS) and an XMP packet (event, poses, credit, hashtag) after the JPEG's
+ * JFIF header. Other image types are returned unchanged.
+ */
+
+class PhotoMetadata {
+    /**
+     * Add metadata to a JPEG Blob. Resolves to a new Blob (or the original for other types).
+     *
+     * fields: { date, software, artist, copyright, credit, eventName, poseIds, hashtag,
+     *           location: { latitude, longitude, altitude } }
+     */
+    static async embed(blob, fields) {
+        if (blob.type !== 'image/jpeg') return blob;
+
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+            throw new Error('Not a JPEG');
+        }
+
+        // Keep SOI and a leading JFIF APP0 first, as readers expect
+        let insertAt = 2;
+        if (bytes[2] === 0xff && bytes[3] === 0xe0) {
+            insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+        }
+
+        const segments = [
+            PhotoMetadata.segment(0xe1, PhotoMetadata.concat(PhotoMetadata.EXIF_HEADER, PhotoMetadata.buildExif(fields))),
+            PhotoMetadata.segment(0xe1, PhotoMetadata.concat(PhotoMetadata.XMP_HEADER, new TextEncoder().encode(PhotoMetadata.buildXmp(fields))))
+        ];
+
+        return new Blob([bytes.subarray(0, insertAt), ...segments, bytes.subarray(insertAt)], { type: blob.type });
+    }
+
+    /**
+     * TIFF structure (big-endian) with IFD0, the Exif IFD and, when there is a location, the GPS IFD
+     */
+    static buildExif({ date = new Date(), software = '', artist = '', copyright = '', location = null }) {
+        const { SHORT, LONG, ASCII, RATIONAL, UNDEFINED, BYTE } = PhotoMetadata.TYPES;
+        const dateTime = PhotoMetadata.formatExifDate(date);
+
+        const ifd0 = [
+            { tag: 0x0112, type: SHORT, value: [1] }, // Orientation: canvas pixels are already upright
+            software && { tag: 0x0131, type: ASCII, value: software },
+            { tag: 0x0132, type: ASCII, value: dateTime },
+            artist && { tag: 0x013b, type: ASCII, value: artist },
+            copyright && { tag: 0x8298, type: ASCII, value: copyright },
+            { tag: 0x8769, type: LONG, value: [0] }, // Exif IFD offset, filled in below
+            location && { tag: 0x8825, type: LONG, value: [0] } // GPS IFD offset
+        ].filter(Boolean);
+
+        const exif = [
+            { tag: 0x9000, type: UNDEFINED, value: [0x30, 0x32, 0x33, 0x32] }, // ExifVersion "0232"
+            { tag: 0x9003, type: ASCII, value: dateTime }, // DateTimeOriginal
+            { tag: 0x9004, type: ASCII, value: dateTime }, // DateTimeDigitized
+            { tag: 0x9011, type: ASCII, value: PhotoMetadata.formatTimezone(date) } // OffsetTimeOriginal
+        ];
+
+        const gps = location ? [
+            { tag: 0x0000, type: BYTE, value: [2, 3, 0, 0] }, // GPSVersionID
+            { tag: 0x0001, type: ASCII, value: location.latitude < 0 ? 'S' : 'N' },
+            { tag: 0x0002, type: RATIONAL, value: PhotoMetadata.toDegreesMinutesSeconds(location.latitude) },
+            { tag: 0x0003, type: ASCII, value: location.longitude < 0 ? 'W' : 'E' },
+            { tag: 0x0004, type: RATIONAL, value: PhotoMetadata.toDegreesMinutesSeconds(location.longitude) },
+            ...(Number.isFinite(location.altitude) ? [
+                { tag: 0x0005, type: BYTE, value: [location.altitude < 0 ? 1 : 0] }, // GPSAltitudeRef
+                { tag: 0x0006, type: RATIONAL, value: [[Math.round(Math.abs(location.altitude) * 100), 100]] }
+            ] : [])
+        ] : null;
+
+        // IFDs follow the 8-byte header back to back; pointer sizes don't depend on their values
+        const exifOffset = 8 + PhotoMetadata.ifdSize(ifd0);
+        const gpsOffset = exifOffset + PhotoMetadata.ifdSize(exif);
+        ifd0.find(entry => entry.tag === 0x8769).value = [exifOffset];
+        if (gps) ifd0.find(entry => entry.tag === 0x8825).value = [gpsOffset];
+
+        const size = gpsOffset + (gps ? PhotoMetadata.ifdSize(gps) : 0);
+        const tiff = new Uint8Array(size);
+        const view = new DataView(tiff.buffer);
+
+        // "MM", 42, offset of IFD0
+        view.setUint16(0, 0x4d4d);
+        view.setUint16(2, 42);
+        view.setUint32(4, 8);
+
+        PhotoMetadata.writeIfd(view, 8, ifd0);
+        PhotoMetadata.writeIfd(view, exifOffset, exif);
+        if (gps) PhotoMetadata.writeIfd(view, gpsOffset, gps);
+
+        return tiff;
+    }
+
+    /**
+     * Bytes an IFD takes: entry count, 12-byte entries, next-IFD offset, then values over 4 bytes
+     */
+    static ifdSize(entries) {
+        return 2 + entries.length * 12 + 4 + entries.reduce((total, entry) => {
+            const length = PhotoMetadata.encodeValue(entry).length;
+            return total + (length > 4 ? length + (length % 2) : 0);
+        }, 0);
+    }
+
+    /**
+     * Write an IFD at `offset` (entries sorted by tag, values over 4 bytes stored after it)
+     */
+    static writeIfd(view, offset, entries) {
+        const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+        let dataOffset = offset + 2 + sorted.length * 12 + 4;
+
+        view.setUint16(offset, sorted.length);
+        sorted.forEach((entry, index) => {
+            const position = offset + 2 + index * 12;
+            const data = PhotoMetadata.encodeValue(entry);
+
+            view.setUint16(position, entry.tag);
+            view.setUint16(position + 2, entry.type.id);
+            view.setUint32(position + 4, data.length / entry.type.size);
+
+            if (data.length <= 4) {
+                // Small values sit in the entry itself, left-aligned
+                data.forEach((byte, i) => view.setUint8(position + 8 + i, byte));
+            } else {
+                view.setUint32(position + 8, dataOffset);
+                data.forEach((byte, i) => view.setUint8(dataOffset + i, byte));
+                dataOffset += data.length + (data.length % 2);
+            }
+        });
+        view.setUint32(offset + 2 + sorted.length * 12, 0); // no next IFD
+    }
+
+    /**
+     * Big-endian bytes for an entry's value
+     */
+    static encodeValue({ type, value }) {
+        const { SHORT, LONG, ASCII, RATIONAL } = PhotoMetadata.TYPES;
+
+        if (type === ASCII) {
+            // EXIF text is 7-bit ASCII; the XMP packet carries the full Unicode text
+            const text = String(value).replace(/©/g, '(C)').replace(/[^\x20-\x7e]/g, '?');
+            return Uint8Array.from([...text].map(char => char.charCodeAt(0)).concat(0));
+        }
+
+        const bytes = new Uint8Array(value.length * type.size);
+        const view = new DataView(bytes.buffer);
+        value.forEach((item, index) => {
+            const position = index * type.size;
+            if (type === SHORT) {
+                view.setUint16(position, item);
+            } else if (type === LONG) {
+                view.setUint32(position, item);
+            } else if (type === RATIONAL) {
+                view.setUint32(position, item[0]);
+                view.setUint32(position + 4, item[1]);
+            } else {
+                view.setUint8(position, item);
+            }
+        });
+        return bytes;
+    }
+
+    /**
+     * XMP packet with the event, poses, credit and hashtag (Dublin Core, Photoshop and IPTC schemas)
+     */
+    static buildXmp({ date = new Date(), software = '', artist = '', copyright = '', credit = '', eventName = '', poseIds = [], hashtag = '' }) {
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const langAlt = (name, text) =>
+            `<${name}><rdf:Alt><rdf:li xml:lang="x-default">${escape(text)}</rdf:li></rdf:Alt></${name}>`;
+
+        const properties = [
+            `<xmp:CreateDate>${PhotoMetadata.formatIsoDate(date)}</xmp:CreateDate>`,
+            software && `<xmp:CreatorTool>${escape(software)}</xmp:CreatorTool>`,
+            artist && `<dc:creator><rdf:Seq><rdf:li>${escape(artist)}</rdf:li></rdf:Seq></dc:creator>`,
+            copyright && langAlt('dc:rights', copyright),
+            credit && `<photoshop:Credit>${escape(credit)}</photoshop:Credit>`,
+            eventName && langAlt('Iptc4xmpExt:Event', eventName),
+            hashtag && `<dc:subject><rdf:Bag><rdf:li>${escape(hashtag)}</rdf:li></rdf:Bag></dc:subject>`,
+            poseIds.length > 0 && `<booth:PoseId>${escape(poseIds.join(','))}</booth:PoseId>`
+        ].filter(Boolean);
+
+        return [
+            '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+            '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+            '<rdf:Description rdf:about=""' +
+                ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"' +
+                ' xmlns:dc="http://purl.org/dc/elements/1.1/"' +
+                ' xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"' +
+                ' xmlns:Iptc4xmpExt="http://iptc.org/std/Iptc4xmpExt/2008-02-29/"' +
+                ` xmlns:booth="${PhotoMetadata.XMP_NAMESPACE}">`,
+            ...properties,
+            '</rdf:Description>',
+            '</rdf:RDF>',
+            '</x:xmpmeta>',
+            '<?xpacket end="w"?>'
+        ].join('\n');
+    }
+
+    /**
+     * JPEG marker segment: marker, 2-byte length (including itself), payload
+     */
+    static segment(marker, payload) {
+        if (payload.length + 2 > 0xffff) {
+            throw new Error('Metadata segment too large');
+        }
+
+        const bytes = new Uint8Array(payload.length + 4);
+        bytes[0] = 0xff;
+        bytes[1] = marker;
+        bytes[2] = (payload.length + 2) >> 8;
+        bytes[3] = (payload.length + 2) & 0xff;
+        bytes.set(payload, 4);
+        return bytes;
+    }
+
+    static concat(...arrays) {
+        const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+        let offset = 0;
+        arrays.forEach(array => {
+            result.set(array, offset);
+            offset += array.length;
+        });
+        return result;
+    }
+
+    /**
+     * Local time as "YYYY:MM:DD HH:MM:SS" (EXIF dates carry no zone; see OffsetTimeOriginal)
+     */
+    static formatExifDate(date) {
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * Local UTC offset as "+HH:MM"
+     */
+    static formatTimezone(date) {
+        const offset = -date.getTimezoneOffset();
+        const pad = (number) => String(Math.floor(number)).padStart(2, '0');
+        return `${offset < 0 ? '-' : '+'}${pad(Math.abs(offset) / 60)}:${pad(Math.abs(offset) % 60)}`;
+    }
+
+    /**
+     * Local time as ISO 8601 with its UTC offset, for XMP
+     */
+    static formatIsoDate(date) {
+        const [day, time] = PhotoMetadata.formatExifDate(date).split(' ');
+        return `${day.replace(/:/g, '-')}T${time}${PhotoMetadata.formatTimezone(date)}`;
+    }
+
+    /**
+     * Decimal degrees to the three rationals GPS tags use (seconds to 1/1000)
+     */
+    static toDegreesMinutesSeconds(decimal) {
+        const thousandths = Math.round(Math.abs(decimal) * 3600 * 1000);
+        const degrees = Math.floor(thousandths / 3600000);
+        const minutes = Math.floor((thousandths % 3600000) / 60000);
+        return [[degrees, 1], [minutes, 1], [thousandths % 60000, 1000]];
+    }
+}
+
+// TIFF field types used here: id and size of one value in bytes
+PhotoMetadata.TYPES = {
+    BYTE: { id: 1, size: 1 },
+    ASCII: { id: 2, size: 1 },
+    SHORT: { id: 3, size: 2 },
+    LONG: { id: 4, size: 4 },
+    RATIONAL: { id: 5, size: 8 },
+    UNDEFINED: { id: 7, size: 1 }
+};
+
+// "Exif\0\0" and the XMP namespace identifying each APP1 segment
+PhotoMetadata.EXIF_HEADER = Uint8Array.from([0x45, 0x78, 0x69, 0x66, 0x00, 0x00]);
+PhotoMetadata.XMP_HEADER = new TextEncoder().encode('http://ns.adobe.com/xap/1.0/\0');
+
+// Namespace for booth-specific XMP properties (pose ids)
+PhotoMetadata.XMP_NAMESPACE = 'urn:photo-booth:xmp:1.0/';
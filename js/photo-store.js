@@ -0,0 +1,129 @@
+/**
+ * IndexedDB storage for captured photos
+ * Each record holds the image Blob plus metadata (timestamp, pose, camera facing, capture mode, session).
+ */
+
+class PhotoStore {
+    constructor(dbName = 'photo-booth', storeName = 'photos') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('sessionId', 'sessionId');
+                    store.createIndex('createdAt', 'createdAt');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the object store inside a transaction
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Store a photo record, resolving to its new id
+     */
+    add(record) {
+        return this.run('readwrite', store => store.add(record));
+    }
+
+    /**
+     * Replace a stored record (matched by its id)
+     */
+    put(record) {
+        return this.run('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Fetch a single record by id
+     */
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    /**
+     * All records for a session, newest first
+     */
+    async getSession(sessionId) {
+        const records = await this.run('readonly', store => store.index('sessionId').getAll(sessionId));
+        return records.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Every record in the store, oldest first
+     */
+    async getAll() {
+        const records = await this.run('readonly', store => store.getAll());
+        return records.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Delete a record by id
+     */
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Delete records older than maxAge (ms) so the booth doesn't fill the device
+     */
+    async prune(maxAge) {
+        const cutoff = Date.now() - maxAge;
+        const keys = await this.run('readonly', store =>
+            store.index('createdAt').getAllKeys(IDBKeyRange.upperBound(cutoff)));
+
+        if (keys.length === 0) return 0;
+
+        const db = await this.open();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            keys.forEach(key => store.delete(key));
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        return keys.length;
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * Uploads captures to the event server
+ * Every capture is queued in IndexedDB first, so nothing is lost when the venue Wi-Fi drops;
+ * the queue is flushed oldest first and again whenever the browser comes back online.
+ * An upload that keeps failing while the connection is up is parked behind the rest of the queue,
+ * and dropped once it is older than maxAge and still failing (time spent offline never counts).
+ * Each upload is a multipart POST with the image in `photo` and metadata as plain fields.
+ */
+
+class PhotoUploader {
+    constructor(endpoint, { eventId = '', maxAttempts = 3, maxFailures = 5, maxAge = 24 * 60 * 60 * 1000, retryDelay = 1000, retryInterval = 60000, timeout = 30000 } = {}) {
+        this.endpoint = endpoint;
+        this.eventId = eventId;
+        this.maxAttempts = maxAttempts; // tries per flush before leaving the upload queued
+        this.maxFailures = maxFailures; // failed flushes before an upload stops holding up the queue
+        this.maxAge = maxAge;           // ms after which a parked upload that fails again is given up
+        this.retryDelay = retryDelay;   // first backoff delay in ms, doubled on each retry
+        this.timeout = timeout;
+        this.queue = new PhotoStore('photo-booth-uploads', 'uploads');
+        this.flushing = null;
+        this.waiting = new Map(); // queue id -> resolver for callers awaiting the server response
+
+        window.addEventListener('online', () => this.flush());
+        // Also retry periodically in case the server (not the connection) was down
+        setInterval(() => this.flush(), retryInterval);
+    }
+
+    /**
+     * Queue a capture and try to send it right away.
+     * Resolves to the server response ({ id, url }) once uploaded - possibly much later if offline.
+     */
+    async enqueue(blob, metadata = {}) {
+        const id = await this.queue.add({
+            blob,
+            createdAt: Date.now(),
+            sessionId: metadata.sessionId || '',
+            metadata: { eventId: this.eventId, ...metadata }
+        });
+
+        console.log('📤 Upload queued:', { id, size: blob.size });
+
+        const result = new Promise(resolve => this.waiting.set(id, resolve));
+        this.flush();
+        return result;
+    }
+
+    /**
+     * Number of uploads still waiting in the queue
+     */
+    async pendingCount() {
+        return (await this.queue.getAll()).length;
+    }
+
+    /**
+     * Send everything in the queue. Concurrent calls share the same run, which never rejects:
+     * a queue write that fails (quota, blocked database) ends the run and the next one retries.
+     */
+    flush() {
+        if (this.flushing) return this.flushing;
+
+        this.flushing = this.flushQueue()
+            .catch(error => console.warn('⚠️ Upload queue update failed, will retry:', error))
+            .finally(() => {
+                this.flushing = null;
+            });
+        return this.flushing;
+    }
+
+    /**
+     * Upload queued records oldest first (parked ones last), stopping at the first one that can't
+     * be sent yet - unless it is parked, so one bad upload can't block the queue forever
+     */
+    async flushQueue() {
+        if (!navigator.onLine) {
+            console.log('📴 Offline - uploads stay queued until the connection returns');
+            return;
+        }
+
+        let records;
+        try {
+            records = await this.queue.getAll();
+        } catch (error) {
+            console.warn('⚠️ Upload queue unavailable:', error);
+            return;
+        }
+
+        records.sort((a, b) => Number(Boolean(a.parked)) - Number(Boolean(b.parked)));
+
+        for (const record of records) {
+            let response;
+            try {
+                response = await this.sendWithRetry(record);
+            } catch (error) {
+                if (error.permanent) {
+                    // The server rejected this upload outright; retrying won't help
+                    console.error('❌ Upload rejected, dropping from queue:', error);
+                    this.settle(record.id, null);
+                    await this.queue.delete(record.id);
+                    continue;
+                }
+
+                if (record.parked && Date.now() - record.createdAt > this.maxAge) {
+                    // Failed again while online, long after it was taken: give up on it
+                    console.error('❌ Upload still failing after maxAge, dropping from queue:', { id: record.id, failures: record.failures });
+                    this.settle(record.id, null);
+                    await this.queue.delete(record.id);
+                    continue;
+                }
+
+                record.failures = (record.failures || 0) + 1;
+                if (record.failures >= this.maxFailures) {
+                    // Failing on its own (e.g. too large for the connection): retry it after the others
+                    if (!record.parked) {
+                        console.warn(`🅿️ Upload failed ${record.failures} times, parking it behind the rest of the queue:`, error.message);
+                    }
+                    record.parked = true;
+                    await this.queue.put(record);
+                    continue;
+                }
+
+                await this.queue.put(record);
+                console.warn('⚠️ Upload failed, will retry when back online:', error.message);
+                return;
+            }
+
+            console.log('✅ Uploaded capture:', response);
+            this.settle(record.id, response);
+            await this.queue.delete(record.id);
+        }
+    }
+
+    /**
+     * POST one record, backing off exponentially between attempts
+     */
+    async sendWithRetry(record) {
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            try {
+                return await this.send(record);
+            } catch (error) {
+                if (error.permanent) throw error;
+                lastError = error;
+
+                if (attempt < this.maxAttempts) {
+                    const delay = this.retryDelay * 2 ** (attempt - 1);
+                    console.log(`🔁 Upload attempt ${attempt} failed, retrying in ${delay}ms`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * POST a single queued record and parse the JSON response
+     */
+    async send(record) {
+        const { metadata, blob } = record;
+        const form = new FormData();
+        const extension = (blob.type.split('/')[1] || 'jpg').replace('jpeg', 'jpg');
+
+        form.append('photo', blob, `${metadata.timestamp || record.createdAt}.${extension}`);
+        Object.entries(metadata).forEach(([key, value]) => {
+            form.append(key, Array.isArray(value) ? value.join(',') : String(value ?? ''));
+        });
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(this.endpoint, { method: 'POST', body: form, signal: controller.signal });
+
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status} ${response.statusText}`);
+                // 4xx means the request itself is bad (except timeouts and rate limiting)
+                error.permanent = response.status >= 400 && response.status < 500 &&
+                    response.status !== 408 && response.status !== 429;
+                throw error;
+            }
+
+            return await response.json().catch(() => ({}));
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Resolve anyone waiting on this upload (only callers from this page load are tracked)
+     */
+    settle(id, response) {
+        const resolve = this.waiting.get(id);
+        if (resolve) {
+            this.waiting.delete(id);
+            resolve(response);
+        }
+    }
+}
@@ -0,0 +1,435 @@
+/**
+ * QR code generator (byte mode, versions 1-40, error correction L/M/Q/H)
+ * Used for on-screen photo links; follows ISO/IEC 18004 with automatic mask selection.
+ */
+
+class QRCode {
+    /**
+     * Encode text (UTF-8) into a QR symbol: { size, modules } where modules[y][x] is true for dark
+     */
+    static encode(text, { ecl = 'M', mask = -1 } = {}) {
+        const level = QRCode.LEVELS[ecl];
+        if (!level) throw new Error(`Unknown error correction level: ${ecl}`);
+
+        const data = new TextEncoder().encode(text);
+
+        // Smallest version whose capacity fits the data
+        let version = 1;
+        let dataCapacityBits = 0;
+        for (; version <= 40; version++) {
+            dataCapacityBits = QRCode.getNumDataCodewords(version, level) * 8;
+            const countBits = version <= 9 ? 8 : 16;
+            if (4 + countBits + data.length * 8 <= dataCapacityBits) break;
+        }
+        if (version > 40) throw new Error('Data too long for a QR code');
+
+        // Mode indicator (byte), character count, data
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        appendBits(0x4, 4);
+        appendBits(data.length, version <= 9 ? 8 : 16);
+        data.forEach(byte => appendBits(byte, 8));
+
+        // Terminator, byte alignment and alternating pad bytes
+        appendBits(0, Math.min(4, dataCapacityBits - bits.length));
+        appendBits(0, (8 - (bits.length % 8)) % 8);
+        for (let pad = 0xec; bits.length < dataCapacityBits; pad ^= 0xec ^ 0x11) {
+            appendBits(pad, 8);
+        }
+
+        const dataCodewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            dataCodewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+
+        const codewords = QRCode.addErrorCorrection(dataCodewords, version, level);
+        const symbol = QRCode.createSymbol(version);
+        QRCode.drawCodewords(symbol, codewords);
+
+        // Try every mask (unless one is forced) and keep the lowest penalty
+        let bestMask = mask;
+        if (bestMask < 0) {
+            let bestPenalty = Infinity;
+            for (let candidate = 0; candidate < 8; candidate++) {
+                QRCode.applyMask(symbol, candidate);
+                QRCode.drawFormatBits(symbol, level, candidate);
+                const penalty = QRCode.getPenaltyScore(symbol);
+                if (penalty < bestPenalty) {
+                    bestPenalty = penalty;
+                    bestMask = candidate;
+                }
+                QRCode.applyMask(symbol, candidate); // XOR again to undo
+            }
+        }
+
+        QRCode.applyMask(symbol, bestMask);
+        QRCode.drawFormatBits(symbol, level, bestMask);
+
+        return { version, size: symbol.size, mask: bestMask, modules: symbol.modules };
+    }
+
+    /**
+     * Draw an encoded symbol into a square area of a canvas, with a quiet zone of `margin` modules
+     */
+    static drawToCanvas(qr, ctx, x, y, size, { margin = 2, dark = '#000', light = '#fff' } = {}) {
+        const totalModules = qr.size + margin * 2;
+        const moduleSize = size / totalModules;
+
+        ctx.save();
+        ctx.fillStyle = light;
+        ctx.fillRect(x, y, size, size);
+        ctx.fillStyle = dark;
+
+        for (let row = 0; row < qr.size; row++) {
+            for (let column = 0; column < qr.size; column++) {
+                if (qr.modules[row][column]) {
+                    // Slight overlap avoids hairline gaps between modules when scaled
+                    ctx.fillRect(
+                        x + (column + margin) * moduleSize,
+                        y + (row + margin) * moduleSize,
+                        moduleSize + 0.5,
+                        moduleSize + 0.5
+                    );
+                }
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Render text as a QR code onto a canvas element at a given CSS size
+     */
+    static renderToCanvas(text, canvas, cssSize, options = {}) {
+        const qr = QRCode.encode(text, options);
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(cssSize * ratio);
+        canvas.height = Math.round(cssSize * ratio);
+        QRCode.drawToCanvas(qr, canvas.getContext('2d'), 0, 0, canvas.width, options);
+        return qr;
+    }
+
+    // --- Capacity and error correction ---
+
+    static getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    static getNumDataCodewords(version, level) {
+        return Math.floor(QRCode.getNumRawDataModules(version) / 8) -
+            level.eccPerBlock[version] * level.blocks[version];
+    }
+
+    /**
+     * Split data into blocks, append Reed-Solomon ECC to each, and interleave
+     */
+    static addErrorCorrection(data, version, level) {
+        const numBlocks = level.blocks[version];
+        const eccLength = level.eccPerBlock[version];
+        const rawCodewords = Math.floor(QRCode.getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = QRCode.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const dataLength = shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1);
+            const blockData = data.slice(offset, offset + dataLength);
+            offset += dataLength;
+
+            const ecc = QRCode.reedSolomonRemainder(blockData, divisor);
+            // Short blocks get a placeholder so every block has the same length when interleaving
+            if (i < numShortBlocks) blockData.push(null);
+            blocks.push(blockData.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach(block => {
+                if (block[i] !== null) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    static reedSolomonMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11d);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z & 0xff;
+    }
+
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = QRCode.reedSolomonMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = QRCode.reedSolomonMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QRCode.reedSolomonMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // --- Symbol layout ---
+
+    /**
+     * Blank symbol with finder, timing and alignment patterns, version info and reserved format areas
+     */
+    static createSymbol(version) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        const symbol = { version, size, modules, isFunction };
+
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns (skipping the three finder corners)
+        const positions = QRCode.getAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve format areas (real bits drawn after masking)
+        QRCode.drawFormatBits(symbol, QRCode.LEVELS.M, 0, setFunction);
+
+        // Version information (versions 7+)
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                setFunction(a, b, dark);
+                setFunction(b, a, dark);
+            }
+        }
+
+        return symbol;
+    }
+
+    static getAlignmentPositions(version) {
+        if (version === 1) return [];
+
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = version * 4 + 17 - 7; result.length < numAlign; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    /**
+     * Draw the 15-bit format information (level + mask) in both copies, plus the dark module
+     */
+    static drawFormatBits(symbol, level, mask, set) {
+        const setModule = set || ((x, y, dark) => {
+            symbol.modules[y][x] = dark;
+        });
+        const size = symbol.size;
+
+        const data = (level.formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+
+        // First copy around the top-left finder
+        for (let i = 0; i <= 5; i++) setModule(8, i, bit(i));
+        setModule(8, 7, bit(6));
+        setModule(8, 8, bit(7));
+        setModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) setModule(14 - i, 8, bit(i));
+
+        // Second copy split between the other two finders
+        for (let i = 0; i < 8; i++) setModule(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) setModule(8, size - 15 + i, bit(i));
+        setModule(8, size - 8, true);
+    }
+
+    /**
+     * Place codeword bits in the zigzag order, skipping function modules
+     */
+    static drawCodewords(symbol, codewords) {
+        const { size, modules, isFunction } = symbol;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * XOR a mask pattern over all non-function modules (applying twice undoes it)
+     */
+    static applyMask(symbol, mask) {
+        const { size, modules, isFunction } = symbol;
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                let invert;
+                switch (mask) {
+                    case 0: invert = (x + y) % 2 === 0; break;
+                    case 1: invert = y % 2 === 0; break;
+                    case 2: invert = x % 3 === 0; break;
+                    case 3: invert = (x + y) % 3 === 0; break;
+                    case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+                    case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+                    case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+                    case 7: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+                    default: throw new Error(`Invalid mask: ${mask}`);
+                }
+                if (invert && !isFunction[y][x]) modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+
+    /**
+     * Penalty score used to pick the mask (runs, 2x2 blocks, finder-like patterns, dark balance)
+     */
+    static getPenaltyScore(symbol) {
+        const { size, modules } = symbol;
+        let penalty = 0;
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+
+        const scanLine = (get) => {
+            let runColor = null;
+            let runLength = 0;
+            for (let i = 0; i < size; i++) {
+                const dark = get(i);
+                if (dark === runColor) {
+                    runLength++;
+                    if (runLength === 5) penalty += 3;
+                    else if (runLength > 5) penalty++;
+                } else {
+                    runColor = dark;
+                    runLength = 1;
+                }
+
+                if (i + 11 <= size) {
+                    finderLike.forEach(pattern => {
+                        if (pattern.every((value, k) => get(i + k) === value)) penalty += 40;
+                    });
+                }
+            }
+        };
+
+        for (let y = 0; y < size; y++) scanLine(x => modules[y][x]);
+        for (let x = 0; x < size; x++) scanLine(y => modules[y][x]);
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        penalty += Math.max(0, k) * 10;
+
+        return penalty;
+    }
+}
+
+// Error correction levels: format bits, ECC codewords per block and number of blocks (index = version)
+QRCode.LEVELS = {
+    L: {
+        formatBits: 1,
+        eccPerBlock: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+    },
+    M: {
+        formatBits: 0,
+        eccPerBlock: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        blocks: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+    },
+    Q: {
+        formatBits: 3,
+        eccPerBlock: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68]
+    },
+    H: {
+        formatBits: 2,
+        eccPerBlock: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    }
+};
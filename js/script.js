@@ -10,54 +10,327 @@ class PhotoBoothApp {
             permissionScreen: document.getElementById('permission-screen'),
             cameraScreen: document.getElementById('camera-screen'),
             resultsScreen: document.getElementById('results-screen'),
+            galleryScreen: document.getElementById('gallery-screen'),
             orientationWarning: document.getElementById('orientation-warning'),
             loading: document.getElementById('loading'),
             desktopMessage: document.getElementById('desktop-message'),
+            offlineStatus: document.getElementById('offline-status'),
             mobileUrl: document.getElementById('mobile-url'),
+            mobileQr: document.getElementById('mobile-qr'),
 
             startCameraBtn: document.getElementById('start-camera'),
             flipCameraBtn: document.getElementById('flip-camera'),
-            debugVideoBtn: document.getElementById('debug-video'),
+            torchToggleBtn: document.getElementById('torch-toggle'),
+            cameraPickerBtn: document.getElementById('camera-picker'),
+            flipCharacterBtn: document.getElementById('flip-character'),
+            cameraChooser: document.getElementById('camera-chooser'),
+            cameraChooserList: document.getElementById('camera-chooser-list'),
+            cameraChooserCloseBtn: document.getElementById('camera-chooser-close'),
+            countdownToggleBtn: document.getElementById('countdown-toggle'),
+            captureModeBtn: document.getElementById('capture-mode'),
+            outputPresetBtn: document.getElementById('output-preset'),
             captureBtn: document.getElementById('capture-button'),
 
             takeAnotherBtn: document.getElementById('take-another'),
+            openGalleryBtn: document.getElementById('open-gallery'),
+            galleryCount: document.getElementById('gallery-count'),
+            galleryBackBtn: document.getElementById('gallery-back'),
+            galleryGrid: document.getElementById('gallery-grid'),
+            galleryEmpty: document.getElementById('gallery-empty'),
+            galleryViewer: document.getElementById('gallery-viewer'),
+            galleryViewerMedia: document.getElementById('gallery-viewer-media'),
+            gallerySaveBtn: document.getElementById('gallery-save'),
+            galleryShareBtn: document.getElementById('gallery-share'),
+            galleryDeleteBtn: document.getElementById('gallery-delete'),
+            galleryCloseBtn: document.getElementById('gallery-close'),
+
+            resultsQr: document.getElementById('results-qr'),
+            resultsQrCanvas: document.getElementById('results-qr-canvas'),
+            resultsLink: document.getElementById('results-link'),
+            savePhotoBtn: document.getElementById('save-photo'),
+            sharePhotoBtn: document.getElementById('share-photo'),
+            operatorHotspot: document.getElementById('operator-hotspot'),
+            operatorMenu: document.getElementById('operator-menu'),
+            operatorPinForm: document.getElementById('operator-pin-form'),
+            operatorPinInput: document.getElementById('operator-pin'),
+            operatorPinError: document.getElementById('operator-pin-error'),
+            operatorActions: document.getElementById('operator-actions'),
+            operatorCloseBtn: document.getElementById('operator-close'),
+            diagnosticsHotspot: document.getElementById('diagnostics-hotspot'),
+            diagnostics: document.getElementById('diagnostics'),
+            diagnosticsReport: document.getElementById('diagnostics-report'),
+            diagnosticsRefreshBtn: document.getElementById('diagnostics-refresh'),
+            diagnosticsExportBtn: document.getElementById('diagnostics-export'),
+            diagnosticsCloseBtn: document.getElementById('diagnostics-close'),
 
             cameraVideo: document.getElementById('camera-video'),
-            characterOverlay: document.getElementById('character-overlay'),
             fallbackOverlay: document.getElementById('fallback-overlay'),
-            logo: document.getElementById('logo'),
-            qrcode: document.getElementById('qrcode'),
+            framePreview: document.getElementById('frame-preview'),
             captureCanvas: document.getElementById('capture-canvas'),
             capturedImage: document.getElementById('captured-image'),
+            capturedVideo: document.getElementById('captured-video'),
+            saveVideoLink: document.getElementById('save-video'),
+            cameraContainer: document.querySelector('.camera-container'),
             countdownOverlay: document.getElementById('countdown-overlay'),
+            filterLabel: document.getElementById('filter-label'),
+            personLayer: document.getElementById('person-layer'),
+            backdropLayer: document.getElementById('backdrop-layer'),
+            posePicker: document.getElementById('pose-picker'),
+            characterCountBtn: document.getElementById('character-count'),
+            focusRing: document.getElementById('focus-ring'),
             countdownNumber: document.querySelector('.countdown-number')
         };
 
         // App state
         this.state = {
             currentCamera: 'user', // 'user' for front, 'environment' for back
+            cameraDeviceId: null, // specific lens/webcam picked in the chooser (null = by facing mode)
+            cameraDevices: [],
+            cameraRecovering: false,
+            mirrorCamera: true, // mirror the preview and capture (cameras facing the guest)
             mediaStream: null,
             isCapturing: false,
-            capturedImageData: null,
+            capturedImageUrl: null, // object URL of the result shown on the results screen
+            capturedBlob: null, // the encoded capture itself (photo, GIF or motion clip)
+            capturedVideoUrl: null,
+            capturedPoseIds: [],
+            galleryPhoto: null,
+            photoLink: null, // shareable URL for the current capture, once it has one
+            kioskIdleTimer: null,
             supportsTransparentVideo: false,
-            currentPoseVideo: null,
+            videoSupport: {}, // codec support found by detectVideoSupport (shown in diagnostics)
+            offlineStatus: null, // latest precache progress from the service worker
+            characters: [], // characters on screen, back to front (see createCharacter)
+            activeCharacter: null, // the one the picker, flip button and gestures act on
             videosLoaded: false,
             criticalVideosLoaded: false,
             loadingRetries: 0,
             loadedPoses: [],
             priorityPose: null,
-            captureCount: 0
+            captureCount: 0,
+            captureMode: 'single',
+            outputPreset: 'portrait',
+            imageFormats: [], // image types canvas.toBlob() can encode (see detectImageFormats)
+            filterId: 'none',
+            filterLabelTimer: null,
+            zoom: { value: 1, min: 1, max: 1, native: false }, // native = track zoom, otherwise digital crop
+            zoomPending: false,
+            tapToFocus: false,
+            torch: false,
+            characterPhase: 'idle', // 'idle' (idle loop, poses ready underneath) or 'pose' (capturing)
+            characterGesture: false, // a touch started on a character (drag/pinch moves it, not the camera)
+            countdownSeconds: 0, // 0 = off, otherwise seconds before the shutter fires
+            countdownTimer: null,
+            countdownCancel: null,
+            poseSyncTimers: [], // held poses waiting to start during a countdown
+            segmentationActive: false, // segmenter loaded and keeping up - otherwise normal layering
+            segmentationFrame: null,
+            segmentationStatus: 'off', // why segmentation is (not) running, for diagnostics
+            location: null, // last position for GPS metadata, when the event allows it
+            lastCaptureSource: null // 'photo WxH' (ImageCapture) or 'video frame', for diagnostics
         };
 
-        // Pose videos will be set after device detection
+        // Capture modes cycled by the mode button
+        this.captureModes = [
+            { id: 'single', label: '1', shots: 1 },
+            { id: 'strip3', label: '×3', shots: 3, layout: 'strip' },
+            { id: 'strip4', label: '×4', shots: 4, layout: 'strip' },
+            { id: 'grid', label: '2×2', shots: 4, layout: 'grid' },
+            { id: 'motion', label: 'GIF', shots: 1, motion: true },
+            { id: 'boomerang', label: '↺', shots: 1, motion: true, boomerang: true }
+        ];
+
+        // Output presets cycled by the ratio button: capture size in pixels (the preview is cropped to match)
+        this.outputPresets = [
+            { id: 'portrait', label: '3:4', width: 1440, height: 1920 },
+            { id: 'story', label: '9:16', width: 1080, height: 1920 },
+            { id: 'square', label: '1:1', width: 1440, height: 1440 },
+            { id: 'feed', label: '4:5', width: 1440, height: 1800 },
+            { id: 'print', label: '4×6', width: 1200, height: 1800 } // 4x6 inch print at 300dpi
+        ];
+
+        // Image types offered for captures, if the browser's canvas can encode them
+        this.imageFormats = ['image/jpeg', 'image/png', 'image/webp', 'image/avif'];
+
+        // Motion capture: clip length, frame rate, output width (height follows the preset) and which files to produce
+        this.motionCapture = {
+            duration: 2.5,
+            fps: 12,
+            width: 480,
+            formats: ['gif', 'video']
+        };
+
+        // Strip cell width (height follows the output preset's ratio) and spacing, plus the pause guests get between shots
+        this.stripCell = { width: 720, gap: 30, margin: 40 };
+        this.stripShotDelay = 3;
+
+        // Largest digital zoom (crop) when the camera has no zoom capability
+        this.digitalZoomMax = 3;
+
+        // How far guests can scale the character
+        this.characterScaleRange = { min: 0.4, max: 2 };
+
+        // Group shots: up to this many characters at once, extra ones start off to the sides
+        this.maxCharacters = 3;
+        this.characterSpots = [
+            { x: 0, y: 0, scale: 1, flip: false },
+            { x: 0.3, y: 0.05, scale: 0.8, flip: true },
+            { x: -0.3, y: 0.05, scale: 0.8, flip: false }
+        ];
+
+        // Countdown modes cycled by the timer button (0 = off)
+        this.countdownOptions = [0, 3, 5, 10];
+        this.captureButtonLabel = this.elements.captureBtn.textContent.trim();
+
+        // Event configuration: built-in defaults < config.json < URL parameters (see loadEventConfig)
+        this.configUrl = 'config.json';
+        this.config = null;
+        this.defaultConfig = {
+            event: {
+                id: '',
+                name: 'Selfie with Abby'
+            },
+            copy: {
+                pageTitle: 'Photo Booth',
+                permissionTitle: 'Selfie with Abby',
+                permissionText: 'Take fun photos with animated characters!',
+                startButton: 'Start Camera',
+                captureButton: 'Take Photo',
+                resultsTitle: 'Save Photo to Your Device',
+                resultsSubtitle: 'Save it or share it with friends',
+                resultsFooter: 'Post on X for a chance to be tagged and reshared by our official handle!',
+                frameCaption: 'Selfie with Abby',
+                desktopTitle: 'Use Mobile to Open',
+                desktopText: 'This photo booth is designed for mobile devices.'
+            },
+            colors: {
+                accent: '#25E3B0',
+                accentText: '#2C3D30',
+                background: '#000000'
+            },
+            branding: {
+                template: 'default',
+                logo: 'images/logo.png',
+                background: 'images/bg.png'
+            },
+            capture: {
+                preset: 'portrait',
+                presets: ['portrait', 'story', 'square', 'feed', 'print'],
+                format: 'image/jpeg', // or a preference list like 'avif,webp,jpeg' - the first one the browser can encode
+                quality: 0.9,
+                fullResolution: true // native-resolution still via ImageCapture where supported
+            },
+            modes: ['single', 'strip3', 'strip4', 'grid', 'motion', 'boomerang'],
+            defaultMode: 'single',
+            countdown: 0,
+            filter: 'none',
+            upload: {
+                endpoint: ''
+            },
+            // EXIF/XMP written into JPEG captures: organizer credit and copyright, event hashtag,
+            // and GPS position only when gps is switched on (the browser asks for permission)
+            metadata: {
+                credit: '',
+                copyright: '',
+                hashtag: '',
+                gps: false
+            },
+            kiosk: {
+                enabled: false,
+                idleSeconds: 60
+            },
+            // Optional person segmentation: 'front' layers the guest over the characters,
+            // 'background' swaps the room for the backdrop (defaults to branding.background)
+            segmentation: {
+                mode: 'off',
+                backdrop: '',
+                bundle: 'vendor/mediapipe/vision_bundle.mjs',
+                wasm: 'vendor/mediapipe/wasm',
+                model: 'models/selfie_segmenter.tflite',
+                maxFrameMs: 50
+            }
+        };
+
+        // The only URL parameters that may change the config, and the paths they set. Uploads,
+        // metadata, branding images and segmentation files stay out: a shared link must not be able
+        // to send guests' photos to another server or load outside content into the booth
+        this.urlParameters = {
+            event: 'event.id',
+            template: 'branding.template',
+            mode: 'defaultMode',
+            modes: 'modes',
+            countdown: 'countdown',
+            filter: 'filter',
+            kiosk: 'kiosk.enabled',
+            idle: 'kiosk.idleSeconds',
+            segmentation: 'segmentation.mode',
+            preset: 'capture.preset',
+            format: 'capture.format',
+            ...Object.fromEntries(['colors', 'copy'].flatMap(section =>
+                Object.keys(this.defaultConfig[section]).map(key => [`${section}.${key}`, `${section}.${key}`])))
+        };
+
+        // Pose manifest listing every pose and its per-platform sources
+        this.poseManifestUrl = 'videos/poses.json';
+        this.poseManifestReady = Promise.resolve();
+
+        // Frame template (border, overlays, logos, captions) drawn on the preview and every capture
+        this.frameTemplate = null;
+        this.frameTemplateReady = Promise.resolve();
+        this.defaultFrameTemplate = {
+            name: 'Default',
+            layers: [
+                { type: 'border', color: 'white', width: 0.01, minWidth: 10 },
+                { type: 'image', src: '{branding.logo}', x: 0.05, y: 0.05, width: 0.2 }
+            ]
+        };
+
+        // Platform key used to pick sources from the manifest ('ios' or 'android')
+        this.posePlatform = 'ios';
+
+        // Pose entries resolved from the manifest for the detected platform
         this.poseVideos = [];
+        this.idlePose = null; // optional looping idle clip from the manifest, shown between captures
 
         // Video cache for preloading
         this.videoCache = new Map();
 
+        // Pose video rendition (480p/720p/1080p) from device and measured bandwidth, upgraded in the background
+        this.videoQuality = new VideoQualitySelector();
+        // A video download is abandoned when no data arrives for this long (slow but steady is fine)
+        this.videoStallTimeout = 15000;
+        this.precacheListening = false;
+
+        // Kiosk (shared tablet) mode, enabled with ?kiosk=1 (set up in init once the config is loaded)
+        this.kiosk = { enabled: false, idleSeconds: 60, pin: null };
+
+        // Session photo gallery (IndexedDB), kept for a day on the device
+        this.photoStore = new PhotoStore();
+        this.sessionId = this.getSessionId();
+        this.galleryMaxAge = 24 * 60 * 60 * 1000;
+        this.galleryUrls = [];
+
+        // Optional upload to the event server (config.json `upload.endpoint`, event from `event.id` or ?event=), queued offline
+        this.uploader = null;
+
+        // Optional person segmentation (?segmentation=front|background), loaded in the background
+        this.segmenter = null;
+        this.backdropImage = null;
+
+        // Written as the EXIF Software / XMP CreatorTool of every capture
+        this.metadataSoftware = 'Photo Booth';
+
+        // Capture compositing and encoding off the main thread (js/capture-worker.js) where supported
+        this.captureWorker = null;
+        this.captureJobs = new Map(); // job id -> { resolve, reject }
+        this.captureJobId = 0;
+        this.frameOverlay = null; // { key, template, bitmap } - frame template pre-rendered for the worker
+
         // New simplified flow state
         this.state.poseVideoPlaying = false;
         this.state.poseVideoEnded = false;
+        this.state.characters = [this.createCharacter(0)];
+        this.state.activeCharacter = this.state.characters[0];
 
         this.init();
 
@@ -68,28 +341,227 @@ class PhotoBoothApp {
     /**
      * Initialize the app
      */
-    init() {
+    async init() {
+        await this.loadEventConfig();
+        this.applyEventConfig();
+        this.kiosk = this.loadKioskSettings();
+        this.uploader = this.createUploader();
+        this.captureWorker = this.createCaptureWorker();
+
         this.bindEvents();
+        if (this.kiosk.enabled) {
+            this.enableKioskMode();
+        }
+        this.loadCountdownSetting();
+        this.loadCaptureModeSetting();
+        this.loadOutputPresetSetting();
+        this.detectImageFormats();
+        this.frameTemplateReady = this.loadFrameTemplate();
+        this.initGallery();
+        this.setFilter(this.config.filter, { announce: false });
         this.detectVideoSupport();
+        this.setupSegmentation();
         this.checkOrientation();
 
         // Check orientation on resize/rotate
-        window.addEventListener('resize', () => this.checkOrientation());
+        window.addEventListener('resize', () => {
+            this.checkOrientation();
+            this.renderFramePreview();
+            this.applyPreviewFilter();
+        });
         window.addEventListener('orientationchange', () => {
             setTimeout(() => this.checkOrientation(), 100);
         });
     }
 
+    /**
+     * Build the event configuration: built-in defaults, then config.json, then URL parameters
+     * (short aliases like ?template=acme or dotted paths like ?colors.accent=%23ff0066)
+     */
+    async loadEventConfig() {
+        let fileConfig = {};
+
+        try {
+            const response = await fetch(this.configUrl, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+            fileConfig = await response.json();
+        } catch (error) {
+            console.warn('⚠️ Failed to load config.json, using built-in defaults:', error);
+        }
+
+        const config = this.mergeConfig(this.defaultConfig, fileConfig);
+
+        new URLSearchParams(window.location.search).forEach((value, key) => {
+            // Other parameters (pin, diagnostics...) aren't config values
+            const path = this.urlParameters[key];
+            if (!path) return;
+
+            const parts = path.split('.');
+            const parent = parts.slice(0, -1).reduce((node, part) => (node ? node[part] : undefined), config);
+            const last = parts[parts.length - 1];
+            const isSetting = parent && typeof parent === 'object' && last in parent &&
+                (typeof parent[last] !== 'object' || Array.isArray(parent[last]));
+
+            // Whole sections can't be set this way
+            if (!isSetting) return;
+
+            parent[last] = this.parseConfigValue(value, parent[last]);
+        });
+
+        this.config = config;
+        console.log('⚙️ Event config:', config);
+    }
+
+    /**
+     * CSS url() for a config image path, or 'none' when empty or not an http(s) URL. The resolved
+     * href has quotes, spaces and line breaks percent-encoded (backslashes too, below), so it can't
+     * break out of the CSS string.
+     */
+    toCssUrl(path) {
+        if (!path) return 'none';
+
+        let url = null;
+        try {
+            url = new URL(path, document.baseURI);
+        } catch (error) {
+            url = null;
+        }
+
+        if (!url || (url.protocol !== 'https:' && url.protocol !== 'http:')) {
+            console.warn('⚠️ Ignoring invalid image URL in config:', path);
+            return 'none';
+        }
+        return `url("${url.href.replace(/\\/g, '%5C')}")`;
+    }
+
+    /**
+     * Deep-merge plain objects; arrays and values in the override replace the base
+     */
+    mergeConfig(base, override) {
+        const result = { ...base };
+
+        Object.entries(override || {}).forEach(([key, value]) => {
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            result[key] = isObject && base[key] && typeof base[key] === 'object'
+                ? this.mergeConfig(base[key], value)
+                : value;
+        });
+
+        return result;
+    }
+
+    /**
+     * Convert a URL parameter to the type of the value it replaces
+     */
+    parseConfigValue(value, current) {
+        if (typeof current === 'boolean') {
+            return ['1', 'true', 'yes', 'on'].includes(value.toLowerCase());
+        }
+        if (typeof current === 'number') {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : current;
+        }
+        if (Array.isArray(current)) {
+            return value.split(',').map(item => item.trim()).filter(Boolean);
+        }
+        return value;
+    }
+
+    /**
+     * Look up a dotted config path (e.g. 'copy.resultsTitle')
+     */
+    getConfigValue(path) {
+        return path.split('.').reduce((node, part) => (node == null ? undefined : node[part]), this.config);
+    }
+
+    /**
+     * Replace {config.path} placeholders in a string (used by frame templates)
+     */
+    resolveConfigText(text) {
+        return text.replace(/\{([\w.]+)\}/g, (match, path) => {
+            const value = this.getConfigValue(path);
+            return typeof value === 'string' || typeof value === 'number' ? value : match;
+        });
+    }
+
+    /**
+     * Apply copy, colours, branding and enabled capture modes from the event config
+     */
+    applyEventConfig() {
+        const { copy, colors, branding } = this.config;
+
+        document.title = copy.pageTitle;
+        document.querySelectorAll('[data-copy]').forEach(element => {
+            const text = copy[element.dataset.copy];
+            if (typeof text === 'string') element.textContent = text;
+        });
+        this.captureButtonLabel = copy.captureButton;
+
+        const root = document.documentElement.style;
+        root.setProperty('--accent', colors.accent);
+        root.setProperty('--accent-text', colors.accentText);
+        root.setProperty('--background', colors.background);
+        document.body.style.backgroundImage = this.toCssUrl(branding.background);
+
+        // Only offer the capture modes this event enabled (single photos at least)
+        const enabled = this.captureModes.filter(mode => this.config.modes.includes(mode.id));
+        this.captureModes = enabled.length > 0 ? enabled : this.captureModes.slice(0, 1);
+        this.elements.captureModeBtn.classList.toggle('hidden', this.captureModes.length < 2);
+
+        // Same for output presets (the event's default preset at least)
+        const presets = this.outputPresets.filter(preset => this.config.capture.presets.includes(preset.id));
+        const fallback = this.outputPresets.filter(preset => preset.id === this.config.capture.preset);
+        this.outputPresets = presets.length > 0 ? presets : (fallback.length > 0 ? fallback : this.outputPresets.slice(0, 1));
+        this.elements.outputPresetBtn.classList.toggle('hidden', this.outputPresets.length < 2);
+    }
+
     /**
      * Bind event listeners
      */
     bindEvents() {
         this.elements.startCameraBtn.addEventListener('click', () => this.requestCameraPermission());
         this.elements.flipCameraBtn.addEventListener('click', () => this.flipCamera());
-        this.elements.debugVideoBtn.addEventListener('click', () => this.debugVideoIssue());
+        this.elements.torchToggleBtn.addEventListener('click', () => this.toggleTorch());
+        this.elements.flipCharacterBtn.addEventListener('click', () => this.flipCharacter());
+        this.elements.characterCountBtn.addEventListener('click', () => this.cycleCharacterCount());
+        this.elements.cameraPickerBtn.addEventListener('click', () => this.openCameraChooser());
+        this.elements.cameraChooserCloseBtn.addEventListener('click', () => this.closeCameraChooser());
+        this.elements.cameraChooserList.addEventListener('click', (event) => {
+            const option = event.target.closest('[data-device-id]');
+            if (option) this.selectCameraDevice(option.dataset.deviceId);
+        });
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+        }
+        this.elements.countdownToggleBtn.addEventListener('click', () => this.cycleCountdownMode());
+        this.elements.captureModeBtn.addEventListener('click', () => this.cycleCaptureMode());
+        this.elements.outputPresetBtn.addEventListener('click', () => this.cycleOutputPreset());
+        this.elements.countdownOverlay.addEventListener('click', () => this.cancelCountdown());
+        this.elements.posePicker.addEventListener('click', (event) => {
+            const option = event.target.closest('.pose-option');
+            if (option) this.selectPose(option.dataset.poseId || null);
+        });
+        this.bindCameraSwipes();
+        this.bindCameraGestures();
+        this.bindDiagnostics();
         this.elements.captureBtn.addEventListener('click', () => this.capturePhoto());
 
+        this.elements.savePhotoBtn.addEventListener('click', () => this.savePhoto());
+        this.elements.sharePhotoBtn.addEventListener('click', () => this.sharePhoto());
         this.elements.takeAnotherBtn.addEventListener('click', () => this.takeAnother());
+
+        if (!navigator.share) {
+            this.elements.sharePhotoBtn.classList.add('hidden');
+        }
+
+        this.elements.openGalleryBtn.addEventListener('click', () => this.openGallery());
+        this.elements.galleryBackBtn.addEventListener('click', () => this.closeGallery());
+        this.elements.galleryCloseBtn.addEventListener('click', () => this.closeGalleryPhoto());
+        this.elements.gallerySaveBtn.addEventListener('click', () => this.saveGalleryPhoto());
+        this.elements.galleryShareBtn.addEventListener('click', () => this.shareGalleryPhoto());
+        this.elements.galleryDeleteBtn.addEventListener('click', () => this.deleteGalleryPhoto());
     }
 
     /**
@@ -109,12 +581,14 @@ class PhotoBoothApp {
         // Test MP4 with H.264 for broader Android compatibility
         const mp4H264Support = video.canPlayType('video/mp4; codecs="avc1.42E01E"') !== '';
 
-        console.log('🎥 Video format support:', {
+        this.state.videoSupport = {
             mp4HEVC: mp4Support,
             webmVP9: webmVP9Support,
             webmVP8: webmVP8Support,
-            mp4H264: mp4H264Support
-        });
+            mp4H264: mp4H264Support,
+            quicktime: video.canPlayType('video/quicktime') !== ''
+        };
+        console.log('🎥 Video format support:', this.state.videoSupport);
 
         // Mobile detection (iOS, Android, and other mobile devices)
         const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) ||
@@ -126,40 +600,42 @@ class PhotoBoothApp {
         console.log('🔧 DEBUG: isMobile=' + isMobile + ', isIOS=' + isIOS + ', isAndroid=' + isAndroid);
 
         if (isIOS && isMobile) {
-            // iOS mobile devices use MOV files for posing (4 poses)
-            this.poseVideos = ['ios/pose2', 'ios/pose3', 'ios/pose4', 'ios/pose5'];
+            // iOS mobile devices use MOV files for posing
+            this.posePlatform = 'ios';
             this.state.supportsTransparentVideo = true;  // MOV supports transparency
-            console.log('📱 iOS device detected - using 4 MOV videos from ios folder');
+            console.log('📱 iOS device detected - preferring iOS sources from pose manifest');
         } else if (isAndroid) {
             // Android uses WebM videos, but fallback to iOS if WebM not supported
             if (webmSupport) {
-                this.poseVideos = ['android/pose2', 'android/pose3', 'android/pose4', 'android/pose5'];
+                this.posePlatform = 'android';
                 this.state.supportsTransparentVideo = true;
-                console.log('🤖 Android device detected - using 4 WebM videos');
+                console.log('🤖 Android device detected - preferring Android sources from pose manifest');
             } else {
                 // Fallback to iOS MOV files for Android if WebM not supported
-                this.poseVideos = ['ios/pose2', 'ios/pose3', 'ios/pose4', 'ios/pose5'];
+                this.posePlatform = 'ios';
                 this.state.supportsTransparentVideo = true;
-                console.log('🤖 Android device detected - WebM not supported, falling back to 4 iOS MOV videos');
+                console.log('🤖 Android device detected - WebM not supported, preferring iOS sources');
             }
         } else {
             // Desktop - Use iOS MOV files for testing
-            this.poseVideos = ['ios/pose2', 'ios/pose3', 'ios/pose4', 'ios/pose5'];
+            this.posePlatform = 'ios';
             this.state.supportsTransparentVideo = true;  // Assume MOV support on desktop
-            console.log('💻 Desktop device detected - using 4 iOS MOV videos for testing');
+            console.log('💻 Desktop device detected - preferring iOS sources (any playable source is used)');
         }
 
+        Object.assign(this.state.videoSupport, { isMobile, isIOS, isAndroid });
+
         console.log('📱 Device detection complete:', {
             userAgent: navigator.userAgent,
             isMobile: isMobile,
             isIOS: isIOS,
             isAndroid: isAndroid,
-            poseVideos: this.poseVideos,
+            posePlatform: this.posePlatform,
             supportsTransparentVideo: this.state.supportsTransparentVideo
         });
 
-        // Handle desktop vs mobile display
-        if (!isMobile) {
+        // Handle desktop vs mobile display (kiosk tablets may report a desktop user agent)
+        if (!isMobile && !this.kiosk.enabled) {
             console.log('💻 DESKTOP DEVICE: Showing mobile redirect message');
             this.showDesktopMessage();
         } else {
@@ -167,11 +643,12 @@ class PhotoBoothApp {
             this.hideDesktopMessage();
         }
 
-        // No idle video in simplified flow - character overlay starts hidden
-        this.elements.characterOverlay.style.display = 'none';
-
-        // Start progressive video loading (poses only)
-        this.startProgressiveLoading();
+        // Load pose manifest, then start progressive video loading (poses only)
+        this.poseManifestReady = this.loadPoseManifest();
+        this.poseManifestReady.then(() => {
+            this.renderPosePicker();
+            this.startProgressiveLoading();
+        });
 
         if (!this.state.supportsTransparentVideo) {
             console.log('Using static overlay for transparency');
@@ -180,16 +657,174 @@ class PhotoBoothApp {
     }
 
     /**
-     * Initialize character overlay (hidden initially in simplified flow)
+     * Load pose manifest and resolve each pose to a source for the detected platform
+     */
+    async loadPoseManifest() {
+        try {
+            // Bypass the HTTP cache so weekly character swaps show up without a re-deploy
+            const response = await fetch(this.poseManifestUrl, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+
+            const manifest = await response.json();
+            const poses = Array.isArray(manifest.poses) ? manifest.poses : [];
+
+            this.poseVideos = poses
+                .map(pose => this.resolvePoseEntry(pose))
+                .filter(Boolean);
+            this.idlePose = manifest.idle ? this.resolvePoseEntry({ id: 'idle', ...manifest.idle }) : null;
+
+            console.log('📋 Pose manifest loaded:', this.poseVideos.map(pose => pose.id), this.idlePose ? '(with idle loop)' : '(no idle loop)');
+        } catch (error) {
+            console.error('❌ Failed to load pose manifest, continuing without poses:', error);
+            this.poseVideos = [];
+            this.idlePose = null;
+        }
+    }
+
+    /**
+     * Resolve a manifest pose into { id, name, src, renditions, type, duration, weight } for this platform.
+     * `src` is the rendition in use; it starts at the selector's level and changes as videos load.
+     */
+    resolvePoseEntry(pose) {
+        if (!pose || !pose.id || !pose.sources) {
+            console.warn('⚠️ Skipping invalid pose manifest entry:', pose);
+            return null;
+        }
+
+        // Prefer the detected platform, then any source this browser says it can play: desktop Chrome
+        // and Android without WebM get the iOS platform but can't play its HEVC sources
+        const candidates = [pose.sources[this.posePlatform], ...Object.values(pose.sources)].filter(Boolean);
+        const source = candidates.find(candidate => this.canPlayVideoType(candidate.type)) || candidates[0];
+
+        // Optional renditions ([{ height, src }]) for adaptive quality, otherwise the single src
+        const renditions = source && Array.isArray(source.renditions)
+            ? source.renditions
+                .filter(rendition => rendition && rendition.src && Number(rendition.height) > 0)
+                .map(rendition => ({ height: Number(rendition.height), src: rendition.src }))
+                .sort((a, b) => a.height - b.height)
+            : [];
+        if (renditions.length === 0 && source && source.src) {
+            renditions.push({ height: null, src: source.src });
+        }
+
+        if (renditions.length === 0) {
+            console.warn(`⚠️ Pose ${pose.id} has no usable source`);
+            return null;
+        }
+
+        const weight = Number(pose.weight);
+
+        return {
+            id: pose.id,
+            name: pose.name || pose.id,
+            src: this.videoQuality.pick(renditions).src,
+            renditions,
+            // Never hint a type the browser has rejected - it would skip the <source> without trying it
+            type: source.type && this.canPlayVideoType(source.type) ? source.type : '',
+            duration: Number(pose.duration) || 0,
+            weight: weight > 0 ? weight : 1,
+            // Optional moment (seconds) the countdown should land on; defaults to the last frame
+            captureAt: pose.captureAt != null ? Number(pose.captureAt) : null
+        };
+    }
+
+    /**
+     * Whether canPlayType() accepts a manifest MIME/codec string (a missing type can't be ruled out)
+     */
+    canPlayVideoType(type) {
+        if (!type) return true;
+
+        this.videoTypeProbe = this.videoTypeProbe || document.createElement('video');
+        return this.videoTypeProbe.canPlayType(type) !== '';
+    }
+
+    /**
+     * Look up a resolved pose entry by id
+     */
+    getPose(poseId) {
+        return this.poseVideos.find(pose => pose.id === poseId) || null;
+    }
+
+    /**
+     * Pick a pose at random, honouring each pose's manifest weight
+     */
+    pickWeightedPose(poses) {
+        const totalWeight = poses.reduce((sum, pose) => sum + pose.weight, 0);
+        let roll = Math.random() * totalWeight;
+
+        for (const pose of poses) {
+            roll -= pose.weight;
+            if (roll < 0) return pose;
+        }
+
+        return poses[poses.length - 1];
+    }
+
+    /**
+     * Ask the service worker to cache this platform's pose videos and track progress
+     */
+    async precacheForOffline() {
+        if (!('serviceWorker' in navigator)) return;
+
+        const urls = this.poseVideos.map(pose => pose.src);
+        if (this.idlePose) urls.unshift(this.idlePose.src);
+
+        // Called again after a quality upgrade; one listener is enough
+        if (!this.precacheListening) {
+            this.precacheListening = true;
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'PRECACHE_STATUS') {
+                    this.updateOfflineStatus(event.data);
+                }
+            });
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            registration.active.postMessage({ type: 'PRECACHE_VIDEOS', urls });
+            console.log('📥 Requested offline precache of pose videos:', urls);
+        } catch (error) {
+            console.warn('⚠️ Offline precache unavailable:', error);
+        }
+    }
+
+    /**
+     * Ask the service worker to delete videos that are no longer used from its cache
+     */
+    async evictVideos(urls) {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            registration.active.postMessage({ type: 'EVICT_VIDEOS', urls });
+        } catch (error) {
+            console.warn('⚠️ Could not remove replaced videos from the offline cache:', error);
+        }
+    }
+
+    /**
+     * Show offline readiness: progress while videos cache, then ready (or partial) once done
      */
-    setupCharacterOverlay() {
-        const characterOverlay = this.elements.characterOverlay;
+    updateOfflineStatus({ total, cached, failed }) {
+        this.state.offlineStatus = { total, cached, failed };
 
-        // Keep character overlay hidden until pose video starts
-        characterOverlay.style.display = 'none';
-        characterOverlay.innerHTML = ''; // Clear any existing sources
+        const status = this.elements.offlineStatus;
+        if (!status) return;
 
-        console.log('🎬 Simplified flow: Character overlay initialized (hidden)');
+        status.classList.remove('hidden', 'ready', 'partial');
+
+        if (cached + failed < total) {
+            status.textContent = `Preparing offline ${cached}/${total}`;
+        } else if (failed === 0) {
+            status.textContent = '✓ Ready offline';
+            status.classList.add('ready');
+            console.log('✅ Booth fully cached for offline use');
+        } else {
+            status.textContent = `Offline: ${failed} pose${failed > 1 ? 's' : ''} missing`;
+            status.classList.add('partial');
+        }
     }
 
     /**
@@ -253,37 +888,47 @@ class PhotoBoothApp {
         // Phase 1: Load critical videos (idle + 1 random pose)
         await this.loadCriticalVideos();
 
-        // Phase 2: Background load remaining videos
-        this.loadRemainingVideos();
+        // Phase 2: Background load remaining videos and cache the renditions chosen for them,
+        // then phase 3: better renditions if bandwidth allows
+        this.loadRemainingVideos().then(() => {
+            this.precacheForOffline();
+            return this.upgradeVideoQuality();
+        });
     }
 
     /**
      * Phase 1: Load critical videos for immediate use (poses only)
      */
     async loadCriticalVideos() {
-        console.log('⚡ Phase 1: Loading critical videos (poses only)...');
+        console.log('⚡ Phase 1: Loading critical videos (idle + 1 pose)...');
 
-        // Get all pose videos (no idle in simplified flow)
-        const poseOptions = this.poseVideos;
+        // The idle loop is the first thing guests see
+        if (this.idlePose) {
+            try {
+                await this.loadPoseVideo(this.idlePose);
+                console.log('✅ Idle loop loaded');
+            } catch (error) {
+                console.warn('⚠️ Idle loop failed to load - poses hold their first frame instead:', error);
+            }
+        }
 
-        // Randomly select one pose for priority loading
-        this.state.priorityPose = poseOptions[Math.floor(Math.random() * poseOptions.length)];
+        const poseOptions = this.poseVideos;
 
-        // Determine video extension based on device
-        const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) ||
-            (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
-        const isAndroid = /Android/.test(navigator.userAgent);
-        const isMobile = isIOS || isAndroid || /Mobile|webOS|BlackBerry|Opera Mini|IEMobile|Windows Phone/.test(navigator.userAgent);
-        const useIOSVideo = (isIOS && isMobile) || (!isMobile && !isAndroid);
-        const videoExt = useIOSVideo ? '.mov' : '.webm';
+        if (poseOptions.length === 0) {
+            console.warn('⚠️ No poses in manifest - nothing to preload');
+            this.state.criticalVideosLoaded = true;
+            return;
+        }
 
-        const priorityPosePath = `videos/${this.state.priorityPose}${videoExt}`;
+        // Randomly select one pose (by weight) for priority loading
+        const priorityPose = this.pickWeightedPose(poseOptions);
+        this.state.priorityPose = priorityPose.id;
 
         console.log('🎯 Priority pose selected:', this.state.priorityPose);
 
         try {
-            // Load priority pose video
-            await this.preloadSingleVideo(priorityPosePath);
+            // Load priority pose video (its download speed also sets the quality for the rest)
+            await this.loadPoseVideo(priorityPose);
             this.state.loadedPoses.push(this.state.priorityPose);
             console.log('✅ Priority pose loaded:', this.state.priorityPose);
 
@@ -303,35 +948,142 @@ class PhotoBoothApp {
         console.log('📦 Phase 2: Background loading remaining videos...');
 
         // Get all pose videos except the priority one
-        const poseOptions = this.poseVideos.filter(video => video !== this.state.priorityPose);
-
-        // Determine video extension based on device
-        const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) ||
-            (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
-        const isAndroid = /Android/.test(navigator.userAgent);
-        const isMobile = isIOS || isAndroid || /Mobile|webOS|BlackBerry|Opera Mini|IEMobile|Windows Phone/.test(navigator.userAgent);
-        const useIOSVideo = (isIOS && isMobile) || (!isMobile && !isAndroid);
-        const videoExt = useIOSVideo ? '.mov' : '.webm';
+        const poseOptions = this.poseVideos.filter(pose => pose.id !== this.state.priorityPose);
 
-        // Load remaining poses one by one to avoid overwhelming the network
+        // Load remaining poses one by one (each download gets the whole connection)
         for (const pose of poseOptions) {
-            const posePath = `videos/${pose}${videoExt}`;
+            try {
+                await this.loadPoseVideo(pose);
+                this.state.loadedPoses.push(pose.id);
+                console.log('📦 Background loaded pose:', pose.id, pose.src);
+            } catch (error) {
+                console.warn(`⚠️ Failed to background load ${pose.id}:`, error);
+            }
+        }
+
+        this.state.videosLoaded = true;
+        console.log('✅ All video loading completed! Loaded poses:', this.state.loadedPoses);
+    }
+
+    /**
+     * Phase 3: switch to a higher rendition where measured bandwidth and the device now allow one.
+     * Each better file is downloaded and preloaded before it replaces the current one, so poses on
+     * screen are never waiting for it; the level is re-checked before every download.
+     */
+    async upgradeVideoQuality() {
+        const replaced = [];
+
+        for (const entry of [this.idlePose, ...this.poseVideos].filter(Boolean)) {
+            const current = entry.renditions.find(rendition => rendition.src === entry.src);
+            const better = this.videoQuality.pick(entry.renditions);
+            if (!current || !better.height || better.height <= current.height) continue;
 
             try {
-                await this.preloadSingleVideo(posePath);
-                this.state.loadedPoses.push(pose);
-                console.log('📦 Background loaded pose:', pose);
+                await this.loadVideoFile(better.src);
 
-                // Small delay to not overwhelm the network
-                await new Promise(resolve => setTimeout(resolve, 500));
+                const previous = this.videoCache.get(entry.src);
+                this.videoCache.delete(entry.src);
+                if (previous) {
+                    previous.removeAttribute('src');
+                    previous.load();
+                }
 
+                replaced.push(entry.src);
+                entry.src = better.src;
+                console.log(`⬆️ Upgraded ${entry.id} to ${better.height}p`);
             } catch (error) {
-                console.warn(`⚠️ Failed to background load ${pose}:`, error);
+                console.warn(`⚠️ Quality upgrade failed for ${entry.id}, keeping ${current.height}p:`, error);
             }
         }
 
-        this.state.videosLoaded = true;
-        console.log('✅ All video loading completed! Loaded poses:', this.state.loadedPoses);
+        // Offline cache and status should cover the files now in use, and only those
+        if (replaced.length > 0) {
+            this.precacheForOffline();
+            this.evictVideos(replaced);
+        }
+    }
+
+    /**
+     * Load a pose (or the idle loop) at the rendition for the current quality level
+     */
+    async loadPoseVideo(entry) {
+        const previous = entry.src;
+        entry.src = this.videoQuality.pick(entry.renditions).src;
+
+        // The level moved since this entry's rendition was last chosen: cache the new file, not the old one
+        if (previous && previous !== entry.src) {
+            this.evictVideos([previous]);
+            if (this.precacheListening) this.precacheForOffline();
+        }
+
+        return this.loadVideoFile(entry.src);
+    }
+
+    /**
+     * Preload a video file, measuring its download without ever fetching it twice. With the service
+     * worker in control the file is downloaded through it first (cached on the way, so the video
+     * element then reads it locally). Without one (first visit) the video element's own loading is
+     * measured from Resource Timing instead.
+     */
+    async loadVideoFile(src) {
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            await this.downloadVideo(src);
+            return this.preloadSingleVideo(src);
+        }
+
+        const stopWatching = this.videoQuality.watchResource(src);
+        try {
+            return await this.preloadSingleVideo(src);
+        } catch (error) {
+            stopWatching();
+            throw error;
+        }
+    }
+
+    /**
+     * Download a video in full through the service worker so its speed can be measured. Rejects only
+     * when the download stalls for videoStallTimeout - venue Wi-Fi can be slow but steady. Already
+     * cached files are skipped.
+     */
+    async downloadVideo(src) {
+        if (typeof caches !== 'undefined') {
+            const cached = await caches.match(src, { ignoreSearch: true }).catch(() => null);
+            if (cached) return;
+        }
+
+        const controller = new AbortController();
+        let stallTimer = null;
+        const resetStallTimer = () => {
+            clearTimeout(stallTimer);
+            stallTimer = setTimeout(() => controller.abort(), this.videoStallTimeout);
+        };
+
+        const started = performance.now();
+        let bytes = 0;
+
+        try {
+            resetStallTimer();
+            const response = await fetch(src, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+
+            if (response.body) {
+                const reader = response.body.getReader();
+                for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                    bytes += chunk.value.length;
+                    resetStallTimer();
+                }
+            } else {
+                bytes = (await response.blob()).size;
+            }
+        } catch (error) {
+            throw controller.signal.aborted ? new Error(`Download stalled: ${src}`) : error;
+        } finally {
+            clearTimeout(stallTimer);
+        }
+
+        this.videoQuality.recordDownload(bytes, performance.now() - started);
     }
 
     /**
@@ -353,6 +1105,7 @@ class PhotoBoothApp {
             const onLoad = () => {
                 console.log(`📦 Preloaded: ${videoPath}`);
                 this.videoCache.set(videoPath, video);
+                this.drawPoseThumbnail(videoPath);
                 cleanup();
                 resolve(video);
             };
@@ -363,24 +1116,30 @@ class PhotoBoothApp {
                 reject(error);
             };
 
+            // Give up only when loading stops making progress, however long it takes overall
+            let stallTimer = null;
+            const resetStallTimer = () => {
+                clearTimeout(stallTimer);
+                stallTimer = setTimeout(() => {
+                    cleanup();
+                    reject(new Error(`Loading stalled: ${videoPath}`));
+                }, this.videoStallTimeout);
+            };
+
             const cleanup = () => {
+                clearTimeout(stallTimer);
                 video.removeEventListener('loadeddata', onLoad);
                 video.removeEventListener('error', onError);
+                video.removeEventListener('progress', resetStallTimer);
             };
 
             video.addEventListener('loadeddata', onLoad, { once: true });
             video.addEventListener('error', onError, { once: true });
+            video.addEventListener('progress', resetStallTimer);
 
             // Start loading
+            resetStallTimer();
             video.load();
-
-            // Timeout after 10 seconds
-            setTimeout(() => {
-                if (!this.videoCache.has(videoPath)) {
-                    cleanup();
-                    reject(new Error(`Timeout loading ${videoPath}`));
-                }
-            }, 10000);
         });
     }
 
@@ -439,9 +1198,9 @@ class PhotoBoothApp {
             if (!this.state.isCapturing && this.state.criticalVideosLoaded) {
                 console.log('🧹 Performing periodic video maintenance...');
 
-                // Simplified flow: Check current pose video health instead of idle
-                const poseVideo = this.state.currentPoseVideo;
-                if (poseVideo && this.state.poseVideoPlaying) {
+                // Simplified flow: Check each character's pose video health instead of idle
+                const poseVideos = this.state.poseVideoPlaying ? this.getCharacterVideos() : [];
+                poseVideos.forEach(poseVideo => {
                     // Check for various error states
                     if (poseVideo.error ||
                         poseVideo.networkState === 3 || // NETWORK_NO_SOURCE
@@ -459,14 +1218,14 @@ class PhotoBoothApp {
                             }, 500);
                         }
                     }
-                }
+                });
 
                 // Aggressive cleanup of orphaned elements
                 const allVideos = document.querySelectorAll('video');
                 allVideos.forEach(video => {
                     if (video !== this.elements.cameraVideo &&
-                        video !== this.elements.characterOverlay &&
-                        video !== this.state.currentPoseVideo) {
+                        !this.getCharacterVideos().includes(video) &&
+                        !this.getIdleVideos().includes(video)) {
 
                         // Remove any disconnected or problematic videos
                         if (!video.parentNode || video.error || video.networkState === 3) {
@@ -505,172 +1264,240 @@ class PhotoBoothApp {
     }
 
     /**
-     * Debug video loading issues - comprehensive diagnostics
+     * Hidden diagnostics panel: opened with ?diagnostics=1 or a 3-second long-press on the
+     * top-right corner (from the operator menu in kiosk mode)
      */
-    debugVideoIssue() {
-        console.log('🚨 === DEBUG VIDEO ISSUE ===');
+    bindDiagnostics() {
+        this.elements.diagnosticsRefreshBtn.addEventListener('click', () => this.renderDiagnostics());
+        this.elements.diagnosticsExportBtn.addEventListener('click', () => this.exportDiagnostics());
+        this.elements.diagnosticsCloseBtn.addEventListener('click', () => this.closeDiagnostics());
 
-        const characterOverlay = this.elements.characterOverlay;
+        if (new URLSearchParams(window.location.search).has('diagnostics')) {
+            this.openDiagnostics();
+        }
 
-        // 1. Check file paths
-        console.log('📁 Checking file access...');
-        const testPaths = [
-            'videos/ios/idle.mov',
-            'videos/ios/pose2.mov',
-            'videos/ios/pose3.mov'
-        ];
+        // Guests on a kiosk must not reach it without the operator PIN
+        if (this.kiosk.enabled) return;
 
-        testPaths.forEach(path => {
-            fetch(path, { method: 'HEAD' })
-                .then(response => {
-                    console.log(`✅ File ${path}: ${response.status} ${response.statusText}`);
-                    console.log(`   Content-Type: ${response.headers.get('content-type')}`);
-                    console.log(`   Content-Length: ${response.headers.get('content-length')}`);
-                })
-                .catch(error => {
-                    console.log(`❌ File ${path}: ${error.message}`);
-                });
-        });
+        const hotspot = this.elements.diagnosticsHotspot;
+        let pressTimer = null;
+        const cancelPress = () => clearTimeout(pressTimer);
 
-        // 2. Current video element state
-        console.log('📺 Character overlay element state:');
-        console.log({
-            element: characterOverlay,
-            currentSrc: characterOverlay.currentSrc,
-            src: characterOverlay.src,
-            innerHTML: characterOverlay.innerHTML,
-            readyState: characterOverlay.readyState,
-            networkState: characterOverlay.networkState,
-            paused: characterOverlay.paused,
-            ended: characterOverlay.ended,
-            duration: characterOverlay.duration,
-            videoWidth: characterOverlay.videoWidth,
-            videoHeight: characterOverlay.videoHeight,
-            error: characterOverlay.error
+        hotspot.classList.remove('hidden');
+        hotspot.addEventListener('pointerdown', () => {
+            cancelPress();
+            pressTimer = setTimeout(() => this.openDiagnostics(), 3000);
         });
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => hotspot.addEventListener(type, cancelPress));
+    }
 
-        // 3. CSS computed styles
-        const styles = window.getComputedStyle(characterOverlay);
-        console.log('🎨 Computed CSS styles:');
-        console.log({
-            display: styles.display,
-            visibility: styles.visibility,
-            opacity: styles.opacity,
-            position: styles.position,
-            top: styles.top,
-            left: styles.left,
-            width: styles.width,
-            height: styles.height,
-            zIndex: styles.zIndex,
-            transform: styles.transform
-        });
+    /**
+     * Show the diagnostics panel with a fresh report
+     */
+    openDiagnostics() {
+        this.elements.diagnostics.classList.remove('hidden');
+        this.renderDiagnostics();
+    }
 
-        // 4. Create a visible test video
-        console.log('🧪 Creating test video element...');
-        const testVideo = document.createElement('video');
-        testVideo.controls = true;
-        testVideo.muted = true;
-        testVideo.playsInline = true;
-        testVideo.style.cssText = `
-            position: fixed;
-            top: 10px;
-            right: 10px;
-            width: 200px;
-            height: 300px;
-            z-index: 9999;
-            border: 3px solid red;
-            background: black;
-        `;
-
-        const testSource = document.createElement('source');
-        testSource.src = 'videos/ios/idle.mov';
-        testSource.type = 'video/quicktime';
-        testVideo.appendChild(testSource);
-
-        testVideo.addEventListener('loadeddata', () => {
-            console.log('🎉 TEST VIDEO LOADED!');
-            testVideo.play().catch(e => console.log('Test play failed:', e));
-        });
+    /**
+     * Hide the diagnostics panel
+     */
+    closeDiagnostics() {
+        this.elements.diagnostics.classList.add('hidden');
+    }
 
-        testVideo.addEventListener('error', (e) => {
-            console.log('💥 TEST VIDEO ERROR:', e);
-            console.log('Error code:', testVideo.error?.code);
-            console.log('Error message:', testVideo.error?.message);
-        });
-
-        document.body.appendChild(testVideo);
+    /**
+     * Collect and display the current diagnostics report
+     */
+    async renderDiagnostics() {
+        this.elements.diagnosticsReport.textContent = 'Collecting…';
+        const report = await this.collectDiagnostics();
+        this.elements.diagnosticsReport.textContent = JSON.stringify(report, null, 2);
+    }
 
-        // Remove test video after 15 seconds
-        setTimeout(() => {
-            if (testVideo.parentNode) {
-                testVideo.parentNode.removeChild(testVideo);
-                console.log('🗑️ Test video removed');
+    /**
+     * Snapshot of device, video, camera, memory and capture state for bug reports
+     */
+    async collectDiagnostics() {
+        const report = {
+            createdAt: new Date().toISOString(),
+            page: window.location.href,
+            device: {
+                userAgent: navigator.userAgent,
+                platform: navigator.platform,
+                screen: `${screen.width}x${screen.height}`,
+                viewport: `${window.innerWidth}x${window.innerHeight}`,
+                devicePixelRatio: window.devicePixelRatio,
+                online: navigator.onLine,
+                serviceWorker: Boolean(navigator.serviceWorker && navigator.serviceWorker.controller),
+                kiosk: this.kiosk.enabled
+            },
+            videoSupport: this.state.videoSupport,
+            poses: {
+                platform: this.posePlatform,
+                manifest: this.poseVideos.map(pose => pose.id),
+                loaded: this.state.loadedPoses,
+                idle: this.idlePose ? this.idlePose.src : null,
+                sources: Object.fromEntries(this.poseVideos.map(pose => [pose.id, pose.src])),
+                phase: this.state.characterPhase,
+                current: this.state.characters.map(character => character.poseId),
+                selected: this.state.characters.map(character => character.selectedPoseId || 'shuffle'),
+                criticalVideosLoaded: this.state.criticalVideosLoaded
+            },
+            videoQuality: this.videoQuality.describe(),
+            videoCache: this.describeVideoCache(),
+            offline: this.state.offlineStatus,
+            camera: this.describeCameraTrack(),
+            memory: this.describeMemory(),
+            segmentation: {
+                mode: this.config.segmentation.mode,
+                active: this.state.segmentationActive,
+                status: this.state.segmentationStatus,
+                averageMs: this.segmenter ? Math.round(this.segmenter.averageMs * 10) / 10 : null
+            },
+            uploads: this.uploader ? { endpoint: this.uploader.endpoint, eventId: this.uploader.eventId, pending: null } : null,
+            captures: {
+                count: this.state.captureCount,
+                mode: this.state.captureMode,
+                preset: this.state.outputPreset,
+                format: this.getOutputFormat(),
+                supportedFormats: this.state.imageFormats,
+                filter: this.state.filterId,
+                countdown: this.state.countdownSeconds,
+                fullResolution: this.config.capture.fullResolution && typeof ImageCapture !== 'undefined',
+                worker: Boolean(this.captureWorker),
+                lastSource: this.state.lastCaptureSource,
+                galleryPhotos: null
             }
-        }, 15000);
+        };
 
-        // 5. Try to force main video to play (with proper timing)
-        console.log('🎬 Forcing main video to play...');
-        characterOverlay.load();
+        try {
+            report.captures.galleryPhotos = (await this.photoStore.getSession(this.sessionId)).length;
+        } catch (error) {
+            report.captures.galleryPhotos = `unavailable: ${error.message}`;
+        }
 
-        // Wait for video to be ready before playing
-        const tryPlay = () => {
-            if (characterOverlay.readyState >= 3) {
-                characterOverlay.play()
-                    .then(() => console.log('✅ Main video play successful!'))
-                    .catch(error => console.log('❌ Main video play failed:', error));
-            } else {
-                console.log('⏳ Waiting for video to load before playing...');
-                setTimeout(tryPlay, 200);
+        if (this.uploader) {
+            try {
+                report.uploads.pending = await this.uploader.pendingCount();
+            } catch (error) {
+                report.uploads.pending = `unavailable: ${error.message}`;
+            }
+        }
+
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const { usage, quota } = await navigator.storage.estimate();
+                report.memory.storage = { usageMB: this.toMegabytes(usage), quotaMB: this.toMegabytes(quota) };
+            } catch (error) {
+                report.memory.storage = `unavailable: ${error.message}`;
             }
+        }
+
+        return report;
+    }
+
+    /**
+     * State of every preloaded pose video
+     */
+    describeVideoCache() {
+        const networkStates = ['EMPTY', 'IDLE', 'LOADING', 'NO_SOURCE'];
+        const readyStates = ['HAVE_NOTHING', 'HAVE_METADATA', 'HAVE_CURRENT_DATA', 'HAVE_FUTURE_DATA', 'HAVE_ENOUGH_DATA'];
+        const entries = {};
+
+        this.videoCache.forEach((video, path) => {
+            const buffered = video.buffered.length > 0 ? video.buffered.end(video.buffered.length - 1) : 0;
+            entries[path] = {
+                readyState: readyStates[video.readyState],
+                networkState: networkStates[video.networkState],
+                duration: Number.isFinite(video.duration) ? Number(video.duration.toFixed(3)) : null,
+                bufferedUntil: Number(buffered.toFixed(3)),
+                size: `${video.videoWidth}x${video.videoHeight}`,
+                error: video.error ? { code: video.error.code, message: video.error.message } : null
+            };
+        });
+
+        return entries;
+    }
+
+    /**
+     * Settings and capabilities of the active camera track
+     */
+    describeCameraTrack() {
+        const stream = this.state.mediaStream;
+        const track = stream && stream.getVideoTracks()[0];
+        if (!track) return { facing: this.state.currentCamera, active: false };
+
+        return {
+            facing: this.state.currentCamera,
+            mirrored: this.state.mirrorCamera,
+            devices: this.state.cameraDevices.map(device => device.label || device.deviceId),
+            active: track.readyState === 'live',
+            label: track.label,
+            muted: track.muted,
+            settings: track.getSettings ? track.getSettings() : null,
+            capabilities: track.getCapabilities ? track.getCapabilities() : null,
+            constraints: track.getConstraints ? track.getConstraints() : null
+        };
+    }
+
+    /**
+     * Memory figures the browser exposes (JS heap is Chrome-only)
+     */
+    describeMemory() {
+        const memory = {
+            deviceMemoryGB: navigator.deviceMemory || null,
+            hardwareConcurrency: navigator.hardwareConcurrency || null,
+            videoElements: document.querySelectorAll('video').length
         };
 
-        setTimeout(tryPlay, 100);
+        if (performance.memory) {
+            memory.jsHeap = {
+                usedMB: this.toMegabytes(performance.memory.usedJSHeapSize),
+                totalMB: this.toMegabytes(performance.memory.totalJSHeapSize),
+                limitMB: this.toMegabytes(performance.memory.jsHeapSizeLimit)
+            };
+        }
+
+        return memory;
+    }
+
+    /**
+     * Bytes to megabytes, one decimal place
+     */
+    toMegabytes(bytes) {
+        return Math.round(bytes / 1024 / 1024 * 10) / 10;
+    }
 
-        console.log('🚨 === DEBUG SESSION COMPLETE ===');
+    /**
+     * Download the diagnostics report as JSON to attach to a bug report
+     */
+    async exportDiagnostics() {
+        const report = await this.collectDiagnostics();
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const stamp = report.createdAt.replace(/[:.]/g, '-');
+
+        this.downloadPhoto(url, `photo-booth-diagnostics-${stamp}.json`);
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
     }
 
     /**
-     * Ensure video visibility (Safari compatibility)
+     * Ensure the characters are visible and idle loops running when the camera screen shows
+     * (Safari pauses videos while their screen is hidden)
      */
     ensureVideoVisibility() {
-        const characterOverlay = this.elements.characterOverlay;
-
-        console.log('🔍 Checking character overlay visibility...');
-        console.log('📱 Video element state:', {
-            display: window.getComputedStyle(characterOverlay).display,
-            visibility: window.getComputedStyle(characterOverlay).visibility,
-            opacity: window.getComputedStyle(characterOverlay).opacity,
-            zIndex: window.getComputedStyle(characterOverlay).zIndex,
-            width: characterOverlay.offsetWidth,
-            height: characterOverlay.offsetHeight,
-            readyState: characterOverlay.readyState,
-            paused: characterOverlay.paused,
-            src: characterOverlay.currentSrc
+        this.getIdleVideos().forEach(idleVideo => {
+            if (idleVideo.paused && idleVideo.readyState >= 2) {
+                console.log('🎬 Idle video is paused but loaded, attempting to play...');
+                idleVideo.play().catch(error => {
+                    console.warn('❌ Failed to play idle video:', error);
+                    this.addVideoPlaybackHandler(idleVideo);
+                });
+            }
         });
 
-        // Force video to be visible
-        characterOverlay.style.display = 'block';
-        characterOverlay.style.visibility = 'visible';
-        characterOverlay.style.opacity = '1';
-
-        // Force proper positioning
-        characterOverlay.style.position = 'absolute';
-        characterOverlay.style.top = '50%';
-        characterOverlay.style.left = '50%';
-        characterOverlay.style.width = '100%';
-        characterOverlay.style.height = '100%';
-        characterOverlay.style.transform = 'translate(-50%, -50%)';
-        characterOverlay.style.objectFit = 'contain';
-        characterOverlay.style.zIndex = '15';
-
-        // Attempt to play if not already playing
-        if (characterOverlay.paused && characterOverlay.readyState >= 2) {
-            console.log('🎬 Video is paused but loaded, attempting to play...');
-            characterOverlay.play().catch(error => {
-                console.warn('❌ Failed to play character overlay:', error);
-                this.addVideoPlaybackHandler(characterOverlay);
-            });
-        }
+        this.state.characters.forEach(character => this.updateCharacterVisibility(character));
     }
 
     /**
@@ -697,7 +1524,6 @@ class PhotoBoothApp {
      * Setup fallback static overlay
      */
     setupFallbackOverlay() {
-        this.elements.characterOverlay.style.display = 'none';
         this.elements.fallbackOverlay.classList.remove('hidden');
     }
 
@@ -722,11 +1548,15 @@ class PhotoBoothApp {
         this.showLoading('Starting camera and loading pose...');
 
         try {
+            this.loadCameraDeviceSetting();
             await this.startCamera();
             this.showScreen('camera');
 
-            // In simplified flow, immediately play a random pose video
-            await this.playRandomPoseVideo();
+            // Only once the camera is running, so the location prompt never comes before the camera one
+            this.updateLocation();
+
+            // Idle loop while the guest gets ready; the pose plays on capture
+            await this.enterIdle();
 
         } catch (error) {
             console.error('Camera access denied or failed:', error);
@@ -737,7 +1567,7 @@ class PhotoBoothApp {
     }
 
     /**
-     * Start camera with current facing mode
+     * Start camera with the chosen device, or the current facing mode
      */
     async startCamera() {
         // Stop existing stream if any
@@ -745,9 +1575,10 @@ class PhotoBoothApp {
             this.state.mediaStream.getTracks().forEach(track => track.stop());
         }
 
+        const deviceId = this.state.cameraDeviceId;
         const constraints = {
             video: {
-                facingMode: this.state.currentCamera,
+                ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: this.state.currentCamera }),
                 aspectRatio: { ideal: 3 / 4 }, // Portrait aspect ratio
                 width: { ideal: 720, min: 480 }, // For 3:4 ratio
                 height: { ideal: 960, min: 640 }, // For 3:4 ratio
@@ -758,627 +1589,3223 @@ class PhotoBoothApp {
 
         try {
             this.state.mediaStream = await navigator.mediaDevices.getUserMedia(constraints);
-            this.elements.cameraVideo.srcObject = this.state.mediaStream;
-
-            // Update camera mirror effect (preserving centering transform)
-            if (this.state.currentCamera === 'user') {
-                this.elements.cameraVideo.style.transform = 'translate(-50%, -50%) scaleX(-1)';
-            } else {
-                this.elements.cameraVideo.style.transform = 'translate(-50%, -50%) scaleX(1)';
-            }
-
         } catch (error) {
+            if (deviceId && ['OverconstrainedError', 'NotFoundError', 'NotReadableError'].includes(error.name)) {
+                // The saved camera is gone (unplugged, or a different tablet) - use the default one
+                console.warn('⚠️ Chosen camera unavailable, falling back to facing mode:', error.name);
+                this.setCameraDevice(null);
+                return this.startCamera();
+            }
             throw new Error(`Failed to access camera: ${error.message}`);
         }
+
+        this.elements.cameraVideo.srcObject = this.state.mediaStream;
+
+        const track = this.state.mediaStream.getVideoTracks()[0];
+        this.updateCameraFacing(track);
+        track.addEventListener('ended', () => this.handleCameraEnded(track));
+
+        // Zoom, focus and torch depend on what this camera supports
+        this.setupCameraControls();
+
+        // Labels are only available once permission is granted
+        await this.refreshCameraDevices();
     }
 
     /**
-     * Flip between front and back camera
+     * Work out facing and mirroring from the device itself rather than the facingMode we asked for
+     * (external webcams report no facing mode; they face the guest unless labelled as rear)
      */
-    async flipCamera() {
-        this.showLoading('Switching camera...');
+    updateCameraFacing(track) {
+        const settings = track.getSettings ? track.getSettings() : {};
+        let facing = settings.facingMode;
+
+        if (!facing) {
+            facing = /back|rear|environment/i.test(track.label) ? 'environment' : 'user';
+        }
+
+        this.state.currentCamera = facing === 'environment' ? 'environment' : 'user';
+        this.state.mirrorCamera = this.state.currentCamera === 'user';
 
+        console.log('📷 Camera:', {
+            label: track.label,
+            deviceId: settings.deviceId,
+            facing: this.state.currentCamera,
+            mirrored: this.state.mirrorCamera
+        });
+    }
+
+    /**
+     * Restore the camera picked on this device last time
+     */
+    loadCameraDeviceSetting() {
         try {
-            this.state.currentCamera = this.state.currentCamera === 'user' ? 'environment' : 'user';
-            await this.startCamera();
+            this.state.cameraDeviceId = localStorage.getItem('photobooth.cameraDeviceId') || null;
         } catch (error) {
-            console.error('Failed to flip camera:', error);
-            // Revert to previous camera
-            this.state.currentCamera = this.state.currentCamera === 'user' ? 'environment' : 'user';
-        } finally {
-            this.hideLoading();
+            console.warn('Camera setting not readable:', error);
         }
     }
 
     /**
-     * Play random pose video immediately when camera starts (simplified flow)
+     * Remember (or forget, with null) the chosen camera device
      */
-    async playRandomPoseVideo() {
-        console.log('🎬 Starting simplified flow: random pose video');
-
-        // Smart pose selection: prefer loaded poses, fallback to any available
-        let poseOptions = this.state.loadedPoses.length > 0
-            ? this.state.loadedPoses
-            : this.poseVideos;
-
-        // If no poses are loaded yet, use priority pose if available
-        if (poseOptions.length === 0 && this.state.priorityPose) {
-            poseOptions = [this.state.priorityPose];
-        }
+    setCameraDevice(deviceId) {
+        this.state.cameraDeviceId = deviceId;
 
-        if (poseOptions.length === 0) {
-            console.warn('⚠️ No pose videos available');
-            return;
+        try {
+            if (deviceId) {
+                localStorage.setItem('photobooth.cameraDeviceId', deviceId);
+            } else {
+                localStorage.removeItem('photobooth.cameraDeviceId');
+            }
+        } catch (error) {
+            console.warn('Camera setting not saved:', error);
         }
+    }
 
-        const randomPose = poseOptions[Math.floor(Math.random() * poseOptions.length)];
-        console.log('🎯 Selected pose:', randomPose);
-
-        // Determine video path based on device
-        const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) ||
-            (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
-        const isAndroid = /Android/.test(navigator.userAgent);
-        const isMobile = isIOS || isAndroid || /Mobile|webOS|BlackBerry|Opera Mini|IEMobile|Windows Phone/.test(navigator.userAgent);
-        const useIOSVideo = (isIOS && isMobile) || (!isMobile && !isAndroid);
-        const videoExt = useIOSVideo ? '.mov' : '.webm';
-        const videoPath = `videos/${randomPose}${videoExt}`;
-
-        // Try to use preloaded video first, fallback to creating new element
-        let poseVideo = this.videoCache.get(videoPath);
-
-        if (poseVideo) {
-            console.log('📦 Using preloaded pose video:', videoPath);
-            // Clone the preloaded video to avoid conflicts
-            poseVideo = poseVideo.cloneNode(true);
-        } else {
-            console.log('⚠️ Creating new pose video element (not preloaded):', videoPath);
-            poseVideo = document.createElement('video');
-
-            poseVideo.setAttribute('preload', 'auto');
-            poseVideo.setAttribute('muted', 'true');
-            poseVideo.setAttribute('playsinline', 'true');
-            poseVideo.setAttribute('webkit-playsinline', 'true');
+    /**
+     * List video inputs and show the chooser button when there is more than one
+     */
+    async refreshCameraDevices() {
+        if (!navigator.mediaDevices.enumerateDevices) return;
 
-            const source = document.createElement('source');
-            source.src = videoPath;
-            source.type = useIOSVideo ? 'video/quicktime' : 'video/webm; codecs=vp9';
-            poseVideo.appendChild(source);
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.state.cameraDevices = devices.filter(device => device.kind === 'videoinput');
+        } catch (error) {
+            console.warn('⚠️ Could not list cameras:', error);
+            this.state.cameraDevices = [];
         }
 
-        // Configure video element for simplified flow (NO LOOP - play once)
-        poseVideo.className = 'character-overlay';
-        poseVideo.style.zIndex = '15';
-        poseVideo.style.display = 'block';
-        poseVideo.muted = true;
-        poseVideo.playsInline = true;
-        poseVideo.loop = false; // IMPORTANT: Do not loop in simplified flow
-
-        // Positioning
-        poseVideo.style.position = 'absolute';
-        poseVideo.style.top = '50%';
-        poseVideo.style.left = '50%';
-        poseVideo.style.width = '100%';
-        poseVideo.style.height = '100%';
-        poseVideo.style.transform = 'translate(-50%, -50%)';
-        poseVideo.style.objectFit = 'contain';
-
-        // Add to DOM and set as current pose video
-        this.elements.cameraVideo.parentNode.appendChild(poseVideo);
-        this.state.currentPoseVideo = poseVideo;
-        this.state.poseVideoPlaying = true;
-        this.state.poseVideoEnded = false;
+        this.elements.cameraPickerBtn.classList.toggle('hidden', this.state.cameraDevices.length < 2);
+    }
 
-        // Handle video end - freeze on last frame
-        poseVideo.addEventListener('ended', () => {
-            console.log('🎬 Pose video ended - frozen on last frame');
-            this.state.poseVideoPlaying = false;
-            this.state.poseVideoEnded = true;
-            // Video stays visible on last frame - do not remove or restart
+    /**
+     * Show the camera chooser with the current device highlighted
+     */
+    openCameraChooser() {
+        const list = this.elements.cameraChooserList;
+        const track = this.state.mediaStream && this.state.mediaStream.getVideoTracks()[0];
+        const activeId = track && track.getSettings ? track.getSettings().deviceId : null;
+
+        list.innerHTML = '';
+        this.state.cameraDevices.forEach((device, index) => {
+            const option = document.createElement('button');
+            option.className = 'btn-secondary camera-option';
+            option.dataset.deviceId = device.deviceId;
+            option.textContent = device.label || `Camera ${index + 1}`;
+            option.classList.toggle('active', device.deviceId === activeId);
+            list.appendChild(option);
         });
 
-        // Handle video loading and play
-        return new Promise((resolve) => {
-            const playWhenReady = () => {
-                if (poseVideo.readyState >= 2) {
-                    poseVideo.play().then(() => {
-                        console.log('✅ Pose video started (will play once and freeze)');
-                        resolve();
-                    }).catch((error) => {
-                        console.warn('⚠️ Pose video failed to play:', error);
-                        resolve();
-                    });
-                } else {
-                    if (this.videoCache.has(videoPath)) {
-                        console.log('📦 Cached video not ready, attempting play anyway');
-                        poseVideo.play().then(() => {
-                            console.log('✅ Cached pose video started');
-                            resolve();
-                        }).catch(() => {
-                            console.warn('⚠️ Cached pose video failed to play');
-                            resolve();
-                        });
-                    } else {
-                        poseVideo.addEventListener('loadeddata', () => {
-                            poseVideo.play().then(() => {
-                                console.log('✅ New pose video loaded and started');
-                                resolve();
-                            }).catch(() => {
-                                console.warn('⚠️ New pose video failed to play');
-                                resolve();
-                            });
-                        }, { once: true });
-
-                        setTimeout(() => {
-                            console.warn('⏰ Pose video loading timeout');
-                            resolve();
-                        }, 3000);
-                    }
-                }
-            };
-
-            setTimeout(playWhenReady, 50);
-
-            poseVideo.addEventListener('error', () => {
-                console.warn('⚠️ Pose video failed to load');
-                resolve();
-            });
-        });
+        this.elements.cameraChooser.classList.remove('hidden');
     }
 
     /**
-     * Simplified capture photo (no countdown, capture anytime)
+     * Hide the camera chooser
      */
-    async capturePhoto() {
-        if (this.state.isCapturing) return;
+    closeCameraChooser() {
+        this.elements.cameraChooser.classList.add('hidden');
+    }
 
-        this.state.isCapturing = true;
-        this.elements.captureBtn.style.opacity = '0.5';
-        this.elements.captureBtn.disabled = true;
+    /**
+     * Switch to a camera picked in the chooser and remember it
+     */
+    async selectCameraDevice(deviceId) {
+        this.closeCameraChooser();
+        const previous = this.state.cameraDeviceId;
+        this.showLoading('Switching camera...');
 
         try {
-            console.log('📸 Simplified capture: taking photo immediately');
-
-            // Flash effect
-            await this.showFlashEffect();
-
-            // Play shutter sound
-            this.playShutterSound();
-
-            // Capture the frame (with current pose video state)
-            await this.captureFrame();
-
-            // Show results
-            this.showScreen('results');
-
+            this.setCameraDevice(deviceId);
+            await this.startCamera();
         } catch (error) {
-            console.error('Capture failed:', error);
-            alert('Failed to capture photo. Please try again.');
+            console.error('Failed to switch camera:', error);
+            this.setCameraDevice(previous);
+            await this.startCamera().catch(restartError => console.error('Failed to restart camera:', restartError));
         } finally {
-            this.state.isCapturing = false;
-            this.elements.captureBtn.style.opacity = '1';
-            this.elements.captureBtn.disabled = false;
+            this.hideLoading();
         }
     }
 
-    // Removed: playPoseInstruction function (replaced with playRandomPoseVideo)
-
-    // Removed: startCountdown function (no countdown in simplified flow)
-
-    // Removed: captureWithEffects function (simplified in main capturePhoto)
-
     /**
-     * Show flash effect
+     * Cameras plugged in or out: update the chooser, and recover if ours disappeared
      */
-    async showFlashEffect() {
-        return new Promise((resolve) => {
-            // Create flash overlay
-            const flash = document.createElement('div');
-            flash.style.cssText = `
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: white;
-                z-index: 9999;
-                opacity: 0;
-                pointer-events: none;
-            `;
-
-            document.body.appendChild(flash);
+    async handleDeviceChange() {
+        if (!this.state.mediaStream) return;
 
-            // Animate flash
-            flash.style.transition = 'opacity 150ms ease-out';
-            flash.style.opacity = '0.8';
+        await this.refreshCameraDevices();
 
-            setTimeout(() => {
-                flash.style.opacity = '0';
-                setTimeout(() => {
-                    document.body.removeChild(flash);
-                    resolve();
-                }, 150);
-            }, 150);
+        const track = this.state.mediaStream.getVideoTracks()[0];
+        const activeId = track && track.getSettings ? track.getSettings().deviceId : null;
+        const stillPresent = this.state.cameraDevices.some(device => device.deviceId === activeId);
 
-            console.log('📸 Flash effect triggered');
-        });
+        if (!track || track.readyState === 'ended' || (activeId && !stillPresent)) {
+            this.handleCameraEnded(track);
+        }
     }
 
     /**
-     * Play shutter sound
+     * The active camera stopped (unplugged mid-session) - fall back to the default camera
      */
-    playShutterSound() {
+    async handleCameraEnded(track) {
+        // Ignore tracks we stopped ourselves when switching cameras
+        const current = this.state.mediaStream && this.state.mediaStream.getVideoTracks()[0];
+        if (track !== current || this.state.cameraRecovering) return;
+
+        console.warn('⚠️ Camera disconnected, switching to the default camera');
+        this.state.cameraRecovering = true;
+        this.closeCameraChooser();
+        this.setCameraDevice(null);
+
         try {
-            // Create audio element for shutter sound
-            const audio = new Audio();
-            // Use a data URL for a simple click sound
-            audio.src = 'data:audio/wav;base64,UklGRnoGAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQoGAACBhYqFbF1fdJivrJBhNjVgodDbq2EcBj+a2/LDciUFLIHO8tiJNwgZaLvt559NEAxQp+PwtmMcBjiR1/LMeSwFJHfH8N2QQAoUXrTp66hVFApGn+DyvmEcCDuS1/LMeSsFJ3TH8N+PQAkTYLTo66hVFAlHnt/yv2EcCDuS1/LNeSsFJnPH8d+PQQkTYLTo66hVFAlGnt/zwGEcCDuS1/LNeSsFJnPH8d+PQAkTYLTo66hVFAlGnt/ywGEbCTuS1/LNeSsFJnPH8d+PQAkTYLTo66hVFAlGnt/ywGEbCTuS1/LNeSsFJnPH8d+PQAkTYLTo66hVFAlGnt/ywGEbCTuS1/LNeSsFJnPH8d+PQAkTYLTo66hVFAlGnt/ywGEbCTuS1/LNeSsFJnPH8d+PQAkTYLTo66hVFAlGnt/ywGEbCQ==';
-            audio.volume = 0.3;
-            audio.play().catch(() => {
-                console.log('Shutter sound not available (browser restriction)');
-            });
-            console.log('🔊 Shutter sound triggered');
+            await this.startCamera();
+            this.showCameraLabel('Camera disconnected - switched camera');
         } catch (error) {
-            console.log('Shutter sound not supported');
+            console.error('Failed to recover camera:', error);
+        } finally {
+            this.state.cameraRecovering = false;
         }
     }
 
     /**
-     * Play random pose animation
+     * Read the camera track's capabilities and show only the controls it supports
      */
-    async playPoseAnimation() {
-        const randomPose = this.poseVideos[Math.floor(Math.random() * this.poseVideos.length)];
-
-        // Create new video element for pose
-        const poseVideo = document.createElement('video');
-        poseVideo.className = 'character-overlay';
-        poseVideo.style.zIndex = '15';
-        poseVideo.muted = true;
-        poseVideo.playsInline = true;
-
-        // Add video source based on device type
-        const isAndroid = /Android/.test(navigator.userAgent);
-        const source = document.createElement('source');
-
-        if (isAndroid) {
-            // Android: Use WebM format
-            source.src = `videos/${randomPose}.webm`;
-            source.type = 'video/webm; codecs=vp9';
+    setupCameraControls() {
+        const track = this.state.mediaStream.getVideoTracks()[0];
+        const capabilities = track && track.getCapabilities ? track.getCapabilities() : {};
+        const settings = track && track.getSettings ? track.getSettings() : {};
+        const supported = navigator.mediaDevices.getSupportedConstraints
+            ? navigator.mediaDevices.getSupportedConstraints()
+            : {};
+
+        // Hardware zoom where the track has it, otherwise a digital crop of preview and capture
+        const zoom = capabilities.zoom;
+        if (zoom && zoom.max > zoom.min) {
+            this.state.zoom = { value: settings.zoom || zoom.min, min: zoom.min, max: zoom.max, native: true };
         } else {
-            // iOS/Desktop: Use MP4 format  
-            source.src = `videos/${randomPose}.mp4`;
-            source.type = 'video/mp4; codecs=hvc1';
+            this.state.zoom = { value: 1, min: 1, max: this.digitalZoomMax, native: false };
         }
 
-        poseVideo.appendChild(source);
+        this.state.tapToFocus = Boolean(supported.pointsOfInterest &&
+            (capabilities.focusMode || capabilities.exposureMode));
+
+        // Torch is only offered by (some) back cameras
+        this.state.torch = false;
+        this.elements.torchToggleBtn.classList.toggle('hidden', capabilities.torch !== true);
+        this.elements.torchToggleBtn.classList.remove('active');
+
+        this.applyCameraTransform();
 
-        console.log('🎭 Playing pose animation:', {
-            pose: randomPose,
-            src: source.src,
-            format: isAndroid ? 'WebM' : 'MP4'
+        console.log('🎛️ Camera controls:', {
+            zoom: this.state.zoom,
+            tapToFocus: this.state.tapToFocus,
+            torch: capabilities.torch === true
         });
+    }
 
-        // Add to DOM
-        this.elements.cameraVideo.parentNode.appendChild(poseVideo);
-        this.state.currentPoseVideo = poseVideo;
+    /**
+     * Mirror the front camera and apply digital zoom to the preview (centered like the capture crop)
+     */
+    applyCameraTransform() {
+        const mirror = this.state.mirrorCamera ? -1 : 1;
+        const scale = this.state.zoom.native ? 1 : this.state.zoom.value;
+        this.elements.cameraVideo.style.transform = `translate(-50%, -50%) scale(${mirror * scale}, ${scale})`;
+        // The person cut-out sits exactly over the camera feed
+        this.elements.personLayer.style.transform = this.elements.cameraVideo.style.transform;
+    }
 
-        // Play pose animation with timeout fallback
-        return new Promise((resolve) => {
-            let resolved = false;
+    /**
+     * Camera view gestures: touches that start on a character select it, drag it and pinch-scale it;
+     * anywhere else a pinch zooms the camera and a tap focuses
+     */
+    bindCameraGestures() {
+        const container = this.elements.cameraContainer;
+        let pinchDistance = null;
+        let pinchStart = 1;
+        let drag = null;
+
+        const distance = (touches) => Math.hypot(
+            touches[0].clientX - touches[1].clientX,
+            touches[0].clientY - touches[1].clientY
+        );
+        const startDrag = (touch) => {
+            const placement = this.state.activeCharacter.placement;
+            drag = { clientX: touch.clientX, clientY: touch.clientY, x: placement.x, y: placement.y };
+        };
 
-            const cleanup = () => {
-                if (!resolved) {
-                    resolved = true;
-                    if (poseVideo.parentNode) {
-                        poseVideo.parentNode.removeChild(poseVideo);
-                    }
-                    this.state.currentPoseVideo = null;
-                    resolve();
+        container.addEventListener('touchstart', (event) => {
+            if (event.touches.length === 1) {
+                const touch = event.touches[0];
+                const character = this.state.isCapturing ? null : this.getCharacterAt(touch.clientX, touch.clientY);
+                this.state.characterGesture = Boolean(character);
+                drag = null;
+                if (character) {
+                    this.setActiveCharacter(character);
+                    startDrag(touch);
                 }
-            };
-
-            poseVideo.addEventListener('loadeddata', () => {
-                poseVideo.play().catch(() => {
-                    console.warn('Pose video failed to play');
-                    cleanup();
+            } else if (event.touches.length === 2) {
+                pinchDistance = distance(event.touches);
+                pinchStart = this.state.characterGesture
+                    ? this.state.activeCharacter.placement.scale
+                    : this.state.zoom.value;
+            }
+        }, { passive: true });
+
+        container.addEventListener('touchmove', (event) => {
+            if (pinchDistance !== null && event.touches.length === 2) {
+                event.preventDefault(); // stop the page from zooming instead
+                const value = pinchStart * distance(event.touches) / pinchDistance;
+                if (this.state.characterGesture) {
+                    this.setCharacterPlacement({ scale: value });
+                } else {
+                    this.setZoom(value);
+                }
+            } else if (drag && event.touches.length === 1) {
+                event.preventDefault();
+                const rect = container.getBoundingClientRect();
+                const touch = event.touches[0];
+                this.setCharacterPlacement({
+                    x: drag.x + (touch.clientX - drag.clientX) / rect.width,
+                    y: drag.y + (touch.clientY - drag.clientY) / rect.height
                 });
+            }
+        }, { passive: false });
 
-                // Remove after 800ms (shorter to reduce glitching)
-                setTimeout(cleanup, 800);
-            });
+        container.addEventListener('touchend', (event) => {
+            if (event.touches.length < 2) pinchDistance = null;
 
-            poseVideo.addEventListener('error', () => {
-                console.warn('Pose video failed to load, capturing immediately');
-                cleanup();
-            });
+            if (event.touches.length === 0) {
+                drag = null;
+                this.state.characterGesture = false;
+            } else if (event.touches.length === 1 && this.state.characterGesture) {
+                // Keep dragging with the remaining finger from where the pinch left off
+                startDrag(event.touches[0]);
+            }
+        }, { passive: true });
 
-            // Fallback timeout in case video never loads
-            setTimeout(() => {
-                console.warn('Pose video loading timeout');
-                cleanup();
-            }, 1500);
+        // Taps (not swipes) focus and expose on that point
+        container.addEventListener('click', (event) => {
+            if (this.elements.countdownOverlay.contains(event.target)) return;
+            this.focusAt(event.clientX, event.clientY);
         });
     }
 
     /**
-     * Enhanced cleanup for pose videos (simplified flow - no idle video)
+     * The topmost character with a visible (non-transparent) pixel at a point on screen, if any
      */
-    cleanupPoseVideos() {
-        // Clean up current pose video
-        if (this.state.currentPoseVideo) {
-            try {
-                // Pause and reset video to free resources
-                this.state.currentPoseVideo.pause();
-                this.state.currentPoseVideo.currentTime = 0;
-                this.state.currentPoseVideo.src = '';
-
-                // Remove from DOM
-                if (this.state.currentPoseVideo.parentNode) {
-                    this.state.currentPoseVideo.parentNode.removeChild(this.state.currentPoseVideo);
+    getCharacterAt(clientX, clientY) {
+        const characters = this.state.characters.slice().reverse();
+        return characters.find(character => this.isCharacterAt(character, clientX, clientY)) || null;
+    }
+
+    /**
+     * Whether a point on screen is over a visible (non-transparent) part of a character
+     */
+    isCharacterAt(character, clientX, clientY) {
+        const video = this.getVisibleCharacterVideo(character);
+        if (!video || video.readyState < 2 || !video.videoWidth) return false;
+
+        // Undo the placement transform, then object-fit: contain, to get a point in the video frame
+        const rect = this.elements.cameraContainer.getBoundingClientRect();
+        const { x, y, scale, flip } = character.placement;
+        let px = ((clientX - rect.left) / rect.width - 0.5 - x) / scale;
+        const py = ((clientY - rect.top) / rect.height - 0.5 - y) / scale;
+        if (flip) px = -px;
+
+        const videoAspect = video.videoWidth / video.videoHeight;
+        const viewAspect = rect.width / rect.height;
+        const fitWidth = videoAspect > viewAspect ? 1 : videoAspect / viewAspect;
+        const fitHeight = videoAspect > viewAspect ? viewAspect / videoAspect : 1;
+        const u = px / fitWidth + 0.5;
+        const v = py / fitHeight + 0.5;
+        if (u < 0 || u > 1 || v < 0 || v > 1) return false;
+
+        // Sample the alpha channel around the point (a little slack for fingertips)
+        if (!this.characterHitCanvas) {
+            this.characterHitCanvas = document.createElement('canvas');
+            this.characterHitCanvas.width = 9;
+            this.characterHitCanvas.height = 9;
+        }
+
+        try {
+            const ctx = this.characterHitCanvas.getContext('2d', { willReadFrequently: true });
+            const radius = video.videoWidth * 0.03;
+            ctx.clearRect(0, 0, 9, 9);
+            ctx.drawImage(video, u * video.videoWidth - radius, v * video.videoHeight - radius, radius * 2, radius * 2, 0, 0, 9, 9);
+            const alpha = ctx.getImageData(0, 0, 9, 9).data;
+            for (let i = 3; i < alpha.length; i += 4) {
+                if (alpha[i] > 40) return true;
+            }
+        } catch (error) {
+            console.warn('⚠️ Character hit test failed:', error);
+        }
+
+        return false;
+    }
+
+    /**
+     * A new character, placed at one of the default spots for its slot
+     */
+    createCharacter(slot) {
+        return {
+            poseId: null,
+            selectedPoseId: null, // pose chosen in the picker; null = shuffle
+            video: null, // pose video
+            idleVideo: null, // looping idle clip shown between captures
+            placement: { ...this.characterSpots[slot % this.characterSpots.length] } // offsets are fractions of the view
+        };
+    }
+
+    /**
+     * Pose videos of every character on screen, back to front
+     */
+    getCharacterVideos() {
+        return this.state.characters.map(character => character.video).filter(Boolean);
+    }
+
+    /**
+     * Idle loop videos of every character on screen
+     */
+    getIdleVideos() {
+        return this.state.characters.map(character => character.idleVideo).filter(Boolean);
+    }
+
+    /**
+     * Pose ids of every character on screen, back to front
+     */
+    getCharacterPoseIds() {
+        return this.state.characters.map(character => character.poseId).filter(Boolean);
+    }
+
+    /**
+     * Cycle between one and maxCharacters characters on screen
+     */
+    async cycleCharacterCount() {
+        const count = this.state.characters.length % this.maxCharacters + 1;
+        await this.setCharacterCount(count);
+        this.showCameraLabel(count === 1 ? '1 character' : `${count} characters`);
+    }
+
+    /**
+     * Add characters (each with its own random pose) or remove the frontmost ones
+     */
+    async setCharacterCount(count) {
+        if (this.state.isCapturing || this.state.countdownTimer) return;
+
+        const characters = this.state.characters;
+        const added = [];
+
+        while (characters.length > Math.max(1, count)) {
+            const character = characters.pop();
+            this.removeCharacterVideo(character);
+            this.removeIdleVideo(character);
+        }
+        while (characters.length < Math.min(this.maxCharacters, count)) {
+            const character = this.createCharacter(characters.length);
+            characters.push(character);
+            added.push(character);
+        }
+
+        if (!characters.includes(this.state.activeCharacter)) {
+            this.state.activeCharacter = characters[characters.length - 1];
+        }
+
+        this.elements.characterCountBtn.textContent = characters.length === 1 ? '👤' : `👥${characters.length}`;
+        this.elements.cameraContainer.classList.toggle('multi-character', characters.length > 1);
+        console.log('👥 Characters on screen:', characters.length);
+
+        // Extra characters only join once the camera is running
+        if (!this.elements.cameraScreen.classList.contains('hidden')) {
+            for (const character of added) {
+                this.setActiveCharacter(character);
+                await this.prepareCharacter(character);
+            }
+        }
+    }
+
+    /**
+     * Make a character the one the pose picker, flip button and gestures act on, and bring it to the front
+     */
+    setActiveCharacter(character) {
+        const characters = this.state.characters;
+        const index = characters.indexOf(character);
+        if (index === -1) return;
+
+        characters.push(...characters.splice(index, 1));
+        this.state.activeCharacter = character;
+        this.updateCharacterLayers();
+        this.elements.flipCharacterBtn.classList.toggle('active', character.placement.flip);
+        this.updatePosePicker();
+    }
+
+    /**
+     * Stack the character videos in array order (later = in front) and mark the active one
+     */
+    updateCharacterLayers() {
+        this.state.characters.forEach((character, index) => {
+            [character.video, character.idleVideo].filter(Boolean).forEach(video => {
+                video.style.zIndex = String(15 + index);
+                video.classList.toggle('active', character === this.state.activeCharacter);
+            });
+        });
+    }
+
+    /**
+     * Move, scale or flip a character (clamped so it can't be lost off screen)
+     */
+    setCharacterPlacement(changes, character = this.state.activeCharacter) {
+        const placement = { ...character.placement, ...changes };
+        const { min, max } = this.characterScaleRange;
+
+        placement.scale = Math.min(max, Math.max(min, placement.scale));
+        placement.x = Math.min(0.5, Math.max(-0.5, placement.x));
+        placement.y = Math.min(0.5, Math.max(-0.5, placement.y));
+
+        character.placement = placement;
+        if (character === this.state.activeCharacter) {
+            this.elements.flipCharacterBtn.classList.toggle('active', placement.flip);
+        }
+
+        [character.video, character.idleVideo].filter(Boolean).forEach(video => {
+            this.applyCharacterTransform(video, placement);
+        });
+    }
+
+    /**
+     * Mirror the active character so it can face the guest from the other side
+     */
+    flipCharacter() {
+        this.setCharacterPlacement({ flip: !this.state.activeCharacter.placement.flip });
+    }
+
+    /**
+     * Position a pose video with the guest's placement (mirrored by drawScene for the capture)
+     */
+    applyCharacterTransform(video, placement) {
+        const { x, y, scale, flip } = placement;
+        video.style.transform =
+            `translate(${-50 + x * 100}%, ${-50 + y * 100}%) scale(${flip ? -scale : scale}, ${scale})`;
+    }
+
+    /**
+     * Set the zoom level, clamped to the camera's range
+     */
+    setZoom(value) {
+        const zoom = this.state.zoom;
+        zoom.value = Math.min(zoom.max, Math.max(zoom.min, value));
+
+        if (!zoom.native) {
+            this.applyCameraTransform();
+        } else if (!this.state.zoomPending) {
+            // Pinch fires faster than the camera applies constraints - send the latest value once ready
+            this.state.zoomPending = true;
+            const track = this.state.mediaStream.getVideoTracks()[0];
+            const requested = zoom.value;
+
+            track.applyConstraints({ advanced: [{ zoom: requested }] })
+                .catch(error => console.warn('⚠️ Zoom not applied:', error))
+                .finally(() => {
+                    this.state.zoomPending = false;
+                    if (zoom.value !== requested && this.state.zoom === zoom) this.setZoom(zoom.value);
+                });
+        }
+
+        this.showCameraLabel(`${zoom.value.toFixed(1)}×`);
+    }
+
+    /**
+     * Focus and expose on a tapped point of the preview
+     */
+    async focusAt(clientX, clientY) {
+        if (!this.state.tapToFocus || this.state.isCapturing) return;
+
+        const video = this.elements.cameraVideo;
+        if (!video.videoWidth) return;
+
+        // Map the tap through object-fit: cover, digital zoom and mirroring to the camera frame (0-1)
+        const rect = video.getBoundingClientRect();
+        const scale = Math.max(rect.width / video.videoWidth, rect.height / video.videoHeight);
+        let x = (clientX - (rect.left + rect.width / 2)) / (video.videoWidth * scale) + 0.5;
+        const y = (clientY - (rect.top + rect.height / 2)) / (video.videoHeight * scale) + 0.5;
+        if (this.state.mirrorCamera) x = 1 - x;
+
+        const point = { x: Math.min(1, Math.max(0, x)), y: Math.min(1, Math.max(0, y)) };
+        const containerRect = this.elements.cameraContainer.getBoundingClientRect();
+        this.showFocusRing(clientX - containerRect.left, clientY - containerRect.top);
+
+        const track = this.state.mediaStream.getVideoTracks()[0];
+        const capabilities = track.getCapabilities ? track.getCapabilities() : {};
+        const constraints = { pointsOfInterest: [point] };
+        if ((capabilities.focusMode || []).includes('single-shot')) constraints.focusMode = 'single-shot';
+        if ((capabilities.exposureMode || []).includes('continuous')) constraints.exposureMode = 'continuous';
+
+        try {
+            await track.applyConstraints({ advanced: [constraints] });
+            console.log('🎯 Focus point:', point);
+        } catch (error) {
+            console.warn('⚠️ Tap to focus failed:', error);
+        }
+    }
+
+    /**
+     * Briefly show the focus ring where the guest tapped
+     */
+    showFocusRing(x, y) {
+        const ring = this.elements.focusRing;
+        ring.style.left = `${x}px`;
+        ring.style.top = `${y}px`;
+        ring.classList.remove('hidden', 'active');
+        void ring.offsetWidth; // restart the animation
+        ring.classList.add('active');
+    }
+
+    /**
+     * Switch the back camera's torch on or off
+     */
+    async toggleTorch() {
+        const track = this.state.mediaStream && this.state.mediaStream.getVideoTracks()[0];
+        if (!track) return;
+
+        const torch = !this.state.torch;
+        try {
+            await track.applyConstraints({ advanced: [{ torch }] });
+            this.state.torch = torch;
+            this.elements.torchToggleBtn.classList.toggle('active', torch);
+            console.log('🔦 Torch:', torch ? 'on' : 'off');
+        } catch (error) {
+            console.warn('⚠️ Torch not available:', error);
+            this.elements.torchToggleBtn.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Flip between front and back camera
+     */
+    async flipCamera() {
+        this.showLoading('Switching camera...');
+        const previousDevice = this.state.cameraDeviceId;
+        const previousFacing = this.state.currentCamera;
+
+        try {
+            // Flipping goes back to choosing by facing mode
+            this.setCameraDevice(null);
+            this.state.currentCamera = previousFacing === 'user' ? 'environment' : 'user';
+            await this.startCamera();
+        } catch (error) {
+            console.error('Failed to flip camera:', error);
+            // Revert to previous camera
+            this.setCameraDevice(previousDevice);
+            this.state.currentCamera = previousFacing;
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Idle phase: every character loops the idle clip while its next pose loads underneath
+     */
+    async enterIdle() {
+        this.state.characterPhase = 'idle';
+        // Each call picks its pose synchronously once the manifest is ready, so shuffled characters still differ
+        await Promise.all(this.state.characters.map(character => this.prepareCharacter(character)));
+    }
+
+    /**
+     * Back to one character on shuffle, at its default spot
+     */
+    resetCharacters() {
+        this.setCharacterCount(1);
+        const character = this.state.characters[0];
+        character.selectedPoseId = null;
+        this.setCharacterPlacement(this.characterSpots[0], character);
+        this.setActiveCharacter(character);
+    }
+
+    /**
+     * Give a character its idle loop (once) and a freshly chosen pose, held ready on its first frame
+     */
+    async prepareCharacter(character) {
+        this.ensureIdleVideo(character);
+        await this.preparePoseVideo(character);
+    }
+
+    /**
+     * Create a character video element (from the preload cache when possible) positioned like the camera view
+     */
+    createCharacterVideo(entry) {
+        const videoPath = entry.src;
+
+        // Try to use preloaded video first, fallback to creating new element
+        let video = this.videoCache.get(videoPath);
+
+        if (video) {
+            console.log('📦 Using preloaded video:', videoPath);
+            // Clone the preloaded video to avoid conflicts
+            video = video.cloneNode(true);
+        } else {
+            console.log('⚠️ Creating new video element (not preloaded):', videoPath);
+            video = document.createElement('video');
+
+            video.setAttribute('preload', 'auto');
+            video.setAttribute('muted', 'true');
+            video.setAttribute('playsinline', 'true');
+            video.setAttribute('webkit-playsinline', 'true');
+
+            const source = document.createElement('source');
+            source.src = videoPath;
+            if (entry.type) {
+                source.type = entry.type;
+            }
+            video.appendChild(source);
+        }
+
+        video.className = 'character-overlay';
+        video.style.display = 'block';
+        video.style.opacity = '0'; // revealed by updateCharacterVisibility once it has a frame
+        video.muted = true;
+        video.playsInline = true;
+
+        // Positioning
+        video.style.position = 'absolute';
+        video.style.top = '50%';
+        video.style.left = '50%';
+        video.style.width = '100%';
+        video.style.height = '100%';
+        video.style.objectFit = 'contain';
+
+        return video;
+    }
+
+    /**
+     * Start a character's looping idle clip, if the manifest has one
+     */
+    ensureIdleVideo(character) {
+        if (!this.idlePose) return;
+        if (character.idleVideo) {
+            // Keep it, unless the idle loop has since been upgraded to a better rendition
+            if (character.idleVideo.dataset.src === this.idlePose.src) return;
+            this.removeIdleVideo(character);
+        }
+
+        const idleVideo = this.createCharacterVideo(this.idlePose);
+        idleVideo.dataset.src = this.idlePose.src;
+        idleVideo.classList.add('idle-overlay');
+        idleVideo.loop = true;
+        this.applyCharacterTransform(idleVideo, character.placement);
+
+        idleVideo.addEventListener('loadeddata', () => this.updateCharacterVisibility(character));
+        idleVideo.addEventListener('error', () => console.warn('⚠️ Idle video failed to load'), { once: true });
+
+        this.elements.cameraVideo.parentNode.appendChild(idleVideo);
+        character.idleVideo = idleVideo;
+        this.updateCharacterLayers();
+
+        idleVideo.play().catch(error => {
+            console.warn('⚠️ Idle video failed to play:', error);
+            this.addVideoPlaybackHandler(idleVideo);
+        });
+    }
+
+    /**
+     * Load the pose chosen in the picker for a character, or a random one in shuffle mode (simplified flow).
+     * The pose stays paused on its first frame until startPoses(); resolves once it can be shown.
+     */
+    async preparePoseVideo(character = this.state.activeCharacter) {
+        console.log('🎬 Preparing pose video');
+
+        // Replace whatever this character was doing
+        this.removeCharacterVideo(character);
+
+        // Poses come from the manifest, so wait for it on first use
+        await this.poseManifestReady;
+
+        // Smart pose selection: prefer loaded poses, fallback to any available
+        let poseOptions = this.state.loadedPoses.length > 0
+            ? this.state.loadedPoses.map(poseId => this.getPose(poseId)).filter(Boolean)
+            : this.poseVideos;
+
+        // If no poses are loaded yet, use priority pose if available
+        if (poseOptions.length === 0 && this.getPose(this.state.priorityPose)) {
+            poseOptions = [this.getPose(this.state.priorityPose)];
+        }
+
+        if (poseOptions.length === 0) {
+            console.warn('⚠️ No pose videos available');
+            return;
+        }
+
+        // Shuffle avoids poses the other characters are already doing, when there are enough
+        const otherPoseIds = this.state.characters
+            .filter(other => other !== character)
+            .map(other => other.poseId);
+        const unusedOptions = poseOptions.filter(pose => !otherPoseIds.includes(pose.id));
+
+        // A guest's chosen pose wins, even if it still has to stream in
+        const randomPose = this.getPose(character.selectedPoseId) ||
+            this.pickWeightedPose(unusedOptions.length > 0 ? unusedOptions : poseOptions);
+        console.log('🎯 Selected pose:', randomPose.id, character.selectedPoseId ? '(chosen)' : '(shuffle)');
+
+        // Configure video element for simplified flow (NO LOOP - play once)
+        const poseVideo = this.createCharacterVideo(randomPose);
+        poseVideo.loop = false; // IMPORTANT: Do not loop in simplified flow
+        this.applyCharacterTransform(poseVideo, character.placement);
+
+        // Add to DOM and set as this character's pose video
+        this.elements.cameraVideo.parentNode.appendChild(poseVideo);
+        character.video = poseVideo;
+        character.poseId = randomPose.id;
+        this.updateCharacterLayers();
+        this.updatePosePicker();
+
+        // Handle video end - freeze on last frame
+        poseVideo.addEventListener('ended', () => {
+            console.log('🎬 Pose video ended - frozen on last frame');
+            this.state.poseVideoPlaying = false;
+            this.state.poseVideoEnded = true;
+            // Video stays visible on last frame - do not remove or restart
+        });
+
+        // Wait for the first frame so swapping from idle never shows an empty (black) video
+        await new Promise((resolve) => {
+            const ready = () => {
+                clearTimeout(timer);
+                this.updateCharacterVisibility(character);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                console.warn('⏰ Pose video loading timeout');
+                resolve();
+            }, 3000);
+
+            if (poseVideo.readyState >= 2) {
+                ready();
+                return;
+            }
+
+            poseVideo.addEventListener('loadeddata', ready, { once: true });
+            poseVideo.addEventListener('error', () => {
+                console.warn('⚠️ Pose video failed to load');
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Pose phase: swap every character from idle to its pose. With secondsUntilShutter the poses are
+     * lined up to reach their capture frame at the shutter, otherwise they play from the start now.
+     */
+    startPoses(secondsUntilShutter = null) {
+        this.state.characterPhase = 'pose';
+        this.state.poseVideoPlaying = this.getCharacterVideos().length > 0;
+        this.state.poseVideoEnded = false;
+
+        if (secondsUntilShutter !== null) {
+            this.syncPoseToShutter(secondsUntilShutter);
+        } else {
+            this.getCharacterVideos().forEach(poseVideo => {
+                poseVideo.currentTime = 0;
+                poseVideo.play().catch(error => console.warn('⚠️ Pose restart failed:', error));
+            });
+        }
+
+        this.state.characters.forEach(character => this.updateCharacterVisibility(character));
+        console.log('🎭 Characters posing');
+    }
+
+    /**
+     * No countdown: play the poses and resolve just before their capture frame (the flash takes ~300ms)
+     */
+    async playPosesIntoShutter() {
+        const lead = Math.max(0, ...this.state.characters.map(character => this.getPoseCaptureTime(character)));
+        this.startPoses(lead + 0.3);
+        await new Promise(resolve => setTimeout(resolve, lead * 1000));
+    }
+
+    /**
+     * Seconds into a character's pose clip the photo should be taken (its captureAt, or the last frame)
+     */
+    getPoseCaptureTime(character) {
+        const pose = this.getPose(character.poseId);
+        if (!character.video || !pose) return 0;
+
+        const clipLength = pose.duration || character.video.duration || 0;
+        return pose.captureAt != null ? Math.min(pose.captureAt, clipLength) : clipLength;
+    }
+
+    /**
+     * Back to the idle loop with the same poses ready again (e.g. after a cancelled countdown)
+     */
+    returnToIdle() {
+        this.state.poseSyncTimers.forEach(timer => clearTimeout(timer));
+        this.state.poseSyncTimers = [];
+        this.state.characterPhase = 'idle';
+        this.state.poseVideoPlaying = false;
+
+        this.getCharacterVideos().forEach(poseVideo => {
+            poseVideo.pause();
+            poseVideo.currentTime = 0;
+        });
+        this.state.characters.forEach(character => this.updateCharacterVisibility(character));
+    }
+
+    /**
+     * Show either the idle loop or the pose for a character, never an empty video: while idle the pose
+     * waits underneath, and without an idle clip the pose itself holds its first frame
+     */
+    updateCharacterVisibility(character) {
+        const { idleVideo, video } = character;
+        const idleReady = Boolean(idleVideo && idleVideo.readyState >= 2);
+        const poseReady = Boolean(video && video.readyState >= 2);
+        const showIdle = idleReady && (this.state.characterPhase === 'idle' || !poseReady);
+
+        if (idleVideo) idleVideo.style.opacity = showIdle ? '1' : '0';
+        if (video) video.style.opacity = !showIdle && poseReady ? '1' : '0';
+    }
+
+    /**
+     * The video currently showing for a character (idle loop or pose)
+     */
+    getVisibleCharacterVideo(character) {
+        if (character.idleVideo && character.idleVideo.style.opacity === '1') return character.idleVideo;
+        return character.video;
+    }
+
+    /**
+     * Capture photo, running the countdown first when one is configured.
+     * Tapping the capture button again during the countdown cancels it.
+     */
+    async capturePhoto() {
+        if (this.state.countdownTimer) {
+            this.cancelCountdown();
+            return;
+        }
+
+        if (this.state.isCapturing) return;
+
+        const mode = this.getCaptureMode();
+        if (mode.motion) {
+            await this.captureMotion(mode);
+            return;
+        }
+
+        if (mode.shots > 1) {
+            await this.captureStrip(mode);
+            return;
+        }
+
+        if (this.state.countdownSeconds > 0) {
+            const completed = await this.runCountdown(this.state.countdownSeconds);
+            if (!completed) {
+                console.log('⏹️ Countdown cancelled - no photo taken');
+                return;
+            }
+        }
+
+        this.state.isCapturing = true;
+        this.elements.captureBtn.style.opacity = '0.5';
+        this.elements.captureBtn.disabled = true;
+
+        try {
+            // Without a countdown the pose still plays up to its capture frame first
+            if (this.state.countdownSeconds === 0) {
+                await this.playPosesIntoShutter();
+            }
+
+            console.log('📸 Taking photo');
+
+            // Flash effect
+            await this.showFlashEffect();
+
+            // Play shutter sound
+            this.playShutterSound();
+
+            // Capture the frame (with current pose video state)
+            this.state.capturedPoseIds = this.getCharacterPoseIds();
+            await this.captureFrame();
+            this.storeCapture();
+
+            // Show results
+            this.showScreen('results');
+
+        } catch (error) {
+            console.error('Capture failed:', error);
+            alert('Failed to capture photo. Please try again.');
+        } finally {
+            this.state.isCapturing = false;
+            this.elements.captureBtn.style.opacity = '1';
+            this.elements.captureBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Take a sequence of shots, each with its own random pose, and composite them into one image
+     */
+    async captureStrip(mode) {
+        this.state.isCapturing = true;
+        const shots = [];
+        const poseIds = [];
+
+        try {
+            for (let shot = 0; shot < mode.shots; shot++) {
+                if (shot > 0) {
+                    // Fresh pose for every shot
+                    this.cleanupPoseVideos();
+                    await this.enterIdle();
+                }
+
+                // Always give guests a moment to change pose between shots
+                const seconds = shot === 0
+                    ? this.state.countdownSeconds
+                    : Math.max(this.state.countdownSeconds, this.stripShotDelay);
+
+                if (seconds === 0) {
+                    await this.playPosesIntoShutter();
+                } else if (!(await this.runCountdown(seconds))) {
+                    console.log('⏹️ Countdown cancelled - strip discarded');
+                    return;
+                }
+
+                this.elements.captureBtn.style.opacity = '0.5';
+                this.elements.captureBtn.disabled = true;
+
+                await this.showFlashEffect();
+                this.playShutterSound();
+                shots.push(this.captureShot());
+                poseIds.push(...this.getCharacterPoseIds());
+
+                this.elements.captureBtn.style.opacity = '1';
+                this.elements.captureBtn.disabled = false;
+
+                console.log(`📸 Strip shot ${shot + 1}/${mode.shots} captured`);
+            }
+
+            this.state.capturedPoseIds = poseIds.filter(Boolean);
+            await this.composeStrip(shots, mode.layout);
+            this.storeCapture();
+            this.showScreen('results');
+
+        } catch (error) {
+            console.error('Strip capture failed:', error);
+            alert('Failed to capture photo. Please try again.');
+        } finally {
+            this.state.isCapturing = false;
+            this.elements.captureBtn.style.opacity = '1';
+            this.elements.captureBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Record a short clip of the composited scene and export it as GIF and/or video
+     */
+    async captureMotion(mode) {
+        this.state.isCapturing = true;
+
+        try {
+            // The clip records the pose from its first frame, so don't line it up to a shutter moment
+            const seconds = this.state.countdownSeconds;
+            if (seconds > 0 && !(await this.runCountdown(seconds, { syncPose: false }))) {
+                console.log('⏹️ Countdown cancelled - no clip recorded');
+                return;
+            }
+
+            this.elements.captureBtn.style.opacity = '0.5';
+            this.elements.captureBtn.disabled = true;
+
+            this.playShutterSound();
+            const { frames, video } = await this.recordMotion(mode.boomerang);
+
+            let gif = null;
+            if (this.motionCapture.formats.includes('gif')) {
+                this.showLoading('Creating your GIF...');
+                gif = await this.encodeGif(frames, mode.boomerang);
+            }
+
+            this.showMotionResult(gif, video);
+            this.state.capturedPoseIds = this.getCharacterPoseIds();
+            this.storeCapture();
+            this.showScreen('results');
+
+        } catch (error) {
+            console.error('Motion capture failed:', error);
+            alert('Failed to capture photo. Please try again.');
+        } finally {
+            this.hideLoading();
+            this.state.isCapturing = false;
+            this.elements.captureBtn.style.opacity = '1';
+            this.elements.captureBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Draw the scene (same as captureFrame) at a fixed frame rate, keeping frames for the GIF
+     * and recording the canvas stream with MediaRecorder when available.
+     * For a boomerang the recorder also gets the frames played back in reverse.
+     */
+    async recordMotion(boomerang) {
+        const { duration, fps } = this.motionCapture;
+        const { width, height } = this.getOutputSize(this.motionCapture.width);
+        const frameInterval = 1000 / fps;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        const recorder = this.motionCapture.formats.includes('video')
+            ? this.createMotionRecorder(canvas, fps)
+            : null;
+        const chunks = [];
+        const recorderStopped = new Promise(resolve => {
+            if (!recorder) {
+                resolve();
+                return;
+            }
+            recorder.addEventListener('dataavailable', event => {
+                if (event.data.size > 0) chunks.push(event.data);
+            });
+            recorder.addEventListener('stop', resolve, { once: true });
+        });
+
+        // Start the poses from the beginning so the clip shows the full animation
+        this.startPoses();
+
+        this.elements.cameraContainer.classList.add('recording');
+        if (recorder) recorder.start();
+
+        const frames = [];
+        const frameCount = Math.round(duration * fps);
+        const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        try {
+            for (let i = 0; i < frameCount; i++) {
+                const frameStart = performance.now();
+
+                this.drawScene(ctx, width, height);
+                this.drawCustomFrame(ctx, width, height);
+                frames.push(ctx.getImageData(0, 0, width, height));
+
+                await wait(Math.max(0, frameInterval - (performance.now() - frameStart)));
+            }
+
+            if (recorder && boomerang) {
+                // Play back in reverse, skipping the end frames so the loop doesn't stutter
+                for (let i = frames.length - 2; i > 0; i--) {
+                    ctx.putImageData(frames[i], 0, 0);
+                    await wait(frameInterval);
+                }
+            }
+        } finally {
+            this.elements.cameraContainer.classList.remove('recording');
+            if (recorder && recorder.state !== 'inactive') recorder.stop();
+        }
+
+        await recorderStopped;
+
+        const video = chunks.length > 0
+            ? new Blob(chunks, { type: recorder.mimeType || chunks[0].type })
+            : null;
+
+        console.log('🎞️ Motion recorded:', {
+            frames: frames.length,
+            video: video ? `${video.type} ${Math.round(video.size / 1024)}KB` : 'none'
+        });
+
+        return { frames, video };
+    }
+
+    /**
+     * MediaRecorder on the canvas stream, preferring WebM (Chrome/Android) then MP4 (Safari)
+     */
+    createMotionRecorder(canvas, fps) {
+        if (!window.MediaRecorder || !canvas.captureStream) {
+            console.warn('⚠️ MediaRecorder not supported - GIF only');
+            return null;
+        }
+
+        const mimeTypes = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+        const mimeType = mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+
+        try {
+            const stream = canvas.captureStream(fps);
+            return new MediaRecorder(stream, mimeType ? { mimeType, videoBitsPerSecond: 2500000 } : undefined);
+        } catch (error) {
+            console.warn('⚠️ Failed to create MediaRecorder:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Encode recorded frames as a looping GIF (forward-then-reverse for a boomerang)
+     */
+    async encodeGif(frames, boomerang) {
+        const { width, height } = frames[0];
+        const encoder = new GifEncoder(width, height, { delay: 1000 / this.motionCapture.fps });
+
+        const sequence = boomerang
+            ? frames.concat(frames.slice(1, -1).reverse())
+            : frames;
+        sequence.forEach(frame => encoder.addFrame(frame));
+
+        const gif = await encoder.encode();
+        console.log(`✅ GIF encoded: ${sequence.length} frames, ${Math.round(gif.size / 1024)}KB`);
+
+        return gif;
+    }
+
+    /**
+     * Show a motion capture on the results screen: GIF in the image, video behind a save link
+     */
+    showMotionResult(gif, video) {
+        this.releaseCapturedMedia();
+
+        this.state.capturedBlob = gif || video;
+
+        if (gif) {
+            this.state.capturedImageUrl = URL.createObjectURL(gif);
+            this.elements.capturedImage.src = this.state.capturedImageUrl;
+        }
+
+        if (video) {
+            this.state.capturedVideoUrl = URL.createObjectURL(video);
+
+            const extension = video.type.includes('mp4') ? 'mp4' : 'webm';
+            const link = this.elements.saveVideoLink;
+            link.href = this.state.capturedVideoUrl;
+            link.download = `photo-booth-${Date.now()}.${extension}`;
+            link.classList.remove('hidden');
+
+            // Without a GIF the video itself is the result
+            if (!gif) {
+                this.elements.capturedVideo.src = this.state.capturedVideoUrl;
+                this.elements.capturedVideo.classList.remove('hidden');
+                this.elements.capturedImage.classList.add('hidden');
+            }
+        }
+    }
+
+    /**
+     * Free object URLs from a previous motion capture and restore the still-image result view
+     */
+    releaseCapturedMedia() {
+        if (this.state.capturedImageUrl) {
+            URL.revokeObjectURL(this.state.capturedImageUrl);
+            this.state.capturedImageUrl = null;
+        }
+        this.state.capturedBlob = null;
+        if (this.state.capturedVideoUrl) {
+            URL.revokeObjectURL(this.state.capturedVideoUrl);
+            this.state.capturedVideoUrl = null;
+        }
+
+        this.elements.capturedVideo.removeAttribute('src');
+        this.elements.capturedVideo.classList.add('hidden');
+        this.elements.capturedImage.classList.remove('hidden');
+        this.elements.saveVideoLink.classList.add('hidden');
+        this.elements.saveVideoLink.removeAttribute('href');
+    }
+
+    /**
+     * Current capture mode definition
+     */
+    getCaptureMode() {
+        return this.captureModes.find(mode => mode.id === this.state.captureMode) || this.captureModes[0];
+    }
+
+    /**
+     * Load capture mode from URL parameter (?mode=strip4) or the last choice on this device
+     */
+    loadCaptureModeSetting() {
+        const params = new URLSearchParams(window.location.search);
+        let modeId = params.get('mode');
+
+        if (!modeId) {
+            try {
+                modeId = localStorage.getItem('photobooth.captureMode');
+            } catch (error) {
+                console.warn('Capture mode setting not readable:', error);
+            }
+        }
+
+        const isEnabled = (id) => this.captureModes.some(mode => mode.id === id);
+        if (!isEnabled(modeId)) {
+            modeId = this.config.defaultMode;
+        }
+
+        this.setCaptureMode(isEnabled(modeId) ? modeId : this.captureModes[0].id);
+    }
+
+    /**
+     * Switch to the next capture mode (single → strips → 2x2 grid → GIF → boomerang)
+     */
+    cycleCaptureMode() {
+        const index = this.captureModes.findIndex(mode => mode.id === this.state.captureMode);
+        const next = this.captureModes[(index + 1) % this.captureModes.length];
+        this.setCaptureMode(next.id);
+
+        try {
+            localStorage.setItem('photobooth.captureMode', next.id);
+        } catch (error) {
+            console.warn('Capture mode setting not saved:', error);
+        }
+    }
+
+    /**
+     * Apply capture mode and update the mode button
+     */
+    setCaptureMode(modeId) {
+        this.state.captureMode = modeId;
+
+        const mode = this.getCaptureMode();
+        const button = this.elements.captureModeBtn;
+        button.textContent = mode.label;
+        button.classList.toggle('active', mode.shots > 1);
+
+        console.log('🎞️ Capture mode:', mode.id);
+    }
+
+    /**
+     * Get the current output preset
+     */
+    getOutputPreset() {
+        return this.outputPresets.find(preset => preset.id === this.state.outputPreset) || this.outputPresets[0];
+    }
+
+    /**
+     * Output size at a given width in the current preset's ratio (strip cells, motion clips)
+     */
+    getOutputSize(width) {
+        const preset = this.getOutputPreset();
+        return { width, height: Math.round(width * preset.height / preset.width) };
+    }
+
+    /**
+     * Load output preset from URL parameter (?preset=story) or the last choice on this device
+     */
+    loadOutputPresetSetting() {
+        const params = new URLSearchParams(window.location.search);
+        let presetId = params.get('preset');
+
+        if (!presetId) {
+            try {
+                presetId = localStorage.getItem('photobooth.outputPreset');
+            } catch (error) {
+                console.warn('Output preset setting not readable:', error);
+            }
+        }
+
+        const isEnabled = (id) => this.outputPresets.some(preset => preset.id === id);
+        if (!isEnabled(presetId)) {
+            presetId = this.config.capture.preset;
+        }
+
+        this.setOutputPreset(isEnabled(presetId) ? presetId : this.outputPresets[0].id);
+    }
+
+    /**
+     * Switch to the next output preset (3:4 → 9:16 → 1:1 → 4:5 → 4x6 print)
+     */
+    cycleOutputPreset() {
+        // Strip shots already taken are in the current ratio
+        if (this.state.isCapturing) return;
+
+        const index = this.outputPresets.findIndex(preset => preset.id === this.state.outputPreset);
+        const next = this.outputPresets[(index + 1) % this.outputPresets.length];
+        this.setOutputPreset(next.id);
+
+        try {
+            localStorage.setItem('photobooth.outputPreset', next.id);
+        } catch (error) {
+            console.warn('Output preset setting not saved:', error);
+        }
+    }
+
+    /**
+     * Apply output preset: update the ratio button and crop the preview to the same ratio
+     */
+    setOutputPreset(presetId) {
+        this.state.outputPreset = presetId;
+        this.prepareFrameOverlay();
+
+        const preset = this.getOutputPreset();
+        this.elements.outputPresetBtn.textContent = preset.label;
+        this.elements.cameraContainer.style.setProperty('--output-ratio', `${preset.width} / ${preset.height}`);
+
+        // The frame preview and filter are drawn at the container's size
+        this.renderFramePreview();
+        this.applyPreviewFilter();
+
+        console.log('📐 Output preset:', `${preset.id} (${preset.width}x${preset.height})`);
+    }
+
+    /**
+     * Find which image types canvas.toBlob() can encode here (unsupported types come back as PNG)
+     */
+    async detectImageFormats() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 1;
+
+        const supported = await Promise.all(this.imageFormats.map(type => new Promise(resolve => {
+            try {
+                canvas.toBlob(blob => resolve(Boolean(blob) && blob.type === type), type);
+            } catch (error) {
+                resolve(false);
+            }
+        })));
+
+        this.state.imageFormats = this.imageFormats.filter((type, index) => supported[index]);
+        console.log('🖼️ Image formats:', this.state.imageFormats.join(', '), '→ using', this.getOutputFormat());
+    }
+
+    /**
+     * Image type for captures: the first configured format the browser can encode, otherwise JPEG
+     */
+    getOutputFormat() {
+        const preferred = String(this.config.capture.format).split(',')
+            .map(type => type.trim().toLowerCase())
+            .filter(Boolean)
+            .map(type => (type.includes('/') ? type : `image/${type === 'jpg' ? 'jpeg' : type}`));
+
+        return preferred.find(type => this.state.imageFormats.includes(type)) || 'image/jpeg';
+    }
+
+    // Removed: playPoseInstruction function (replaced with preparePoseVideo/startPoses)
+
+    /**
+     * Swipe left/right on the camera view (or arrow keys) to change filter, up/down for the next pose
+     */
+    bindCameraSwipes() {
+        const container = this.elements.cameraContainer;
+        let startX = null;
+        let startY = null;
+
+        container.addEventListener('touchstart', (event) => {
+            if (event.touches.length !== 1) {
+                startX = null;
+                return;
+            }
+            startX = event.touches[0].clientX;
+            startY = event.touches[0].clientY;
+        }, { passive: true });
+
+        container.addEventListener('touchend', (event) => {
+            // Dragging the character is not a swipe
+            if (startX === null || this.state.characterGesture) return;
+
+            const touch = event.changedTouches[0];
+            const deltaX = touch.clientX - startX;
+            const deltaY = touch.clientY - startY;
+            startX = null;
+
+            // Mostly-horizontal swipes change filter, mostly-vertical ones change pose
+            if (Math.abs(deltaX) > 50 && Math.abs(deltaX) > Math.abs(deltaY) * 1.5) {
+                this.stepFilter(deltaX < 0 ? 1 : -1);
+            } else if (Math.abs(deltaY) > 50 && Math.abs(deltaY) > Math.abs(deltaX) * 1.5) {
+                this.stepPose(deltaY < 0 ? 1 : -1);
+            }
+        }, { passive: true });
+
+        document.addEventListener('keydown', (event) => {
+            if (this.elements.cameraScreen.classList.contains('hidden')) return;
+            if (event.key === 'ArrowRight') this.stepFilter(1);
+            if (event.key === 'ArrowLeft') this.stepFilter(-1);
+            if (event.key === 'ArrowUp') this.stepPose(1);
+            if (event.key === 'ArrowDown') this.stepPose(-1);
+        });
+    }
+
+    /**
+     * Move to the next (1) or previous (-1) filter
+     */
+    stepFilter(direction) {
+        if (this.state.isCapturing) return;
+
+        const filters = PhotoFilters.list;
+        const index = filters.findIndex(filter => filter.id === this.state.filterId);
+        const next = filters[(index + direction + filters.length) % filters.length];
+        this.setFilter(next.id);
+    }
+
+    /**
+     * Build the pose picker: a shuffle option plus one thumbnail per pose in the manifest
+     */
+    renderPosePicker() {
+        const picker = this.elements.posePicker;
+        picker.innerHTML = '';
+
+        const shuffle = document.createElement('button');
+        shuffle.className = 'pose-option pose-shuffle';
+        shuffle.dataset.poseId = '';
+        shuffle.title = 'Shuffle';
+        shuffle.textContent = '🔀';
+        picker.appendChild(shuffle);
+
+        this.poseVideos.forEach(pose => {
+            const option = document.createElement('button');
+            option.className = 'pose-option';
+            option.dataset.poseId = pose.id;
+            option.title = pose.name;
+
+            const thumbnail = document.createElement('canvas');
+            thumbnail.width = 96;
+            thumbnail.height = 128;
+            option.appendChild(thumbnail);
+            picker.appendChild(option);
+
+            this.drawPoseThumbnail(pose.src);
+        });
+
+        // Nothing to choose between with a single pose
+        picker.classList.toggle('hidden', this.poseVideos.length < 2);
+        this.updatePosePicker();
+    }
+
+    /**
+     * Draw the first frame of a cached pose video into its picker thumbnail
+     */
+    drawPoseThumbnail(videoPath) {
+        const pose = this.poseVideos.find(entry => entry.src === videoPath);
+        const video = this.videoCache.get(videoPath);
+        const option = pose && this.elements.posePicker.querySelector(`[data-pose-id="${CSS.escape(pose.id)}"]`);
+        if (!option || !video) return;
+
+        const draw = () => {
+            const canvas = option.querySelector('canvas');
+            const ctx = canvas.getContext('2d');
+            const scale = Math.min(canvas.width / video.videoWidth, canvas.height / video.videoHeight);
+            const width = video.videoWidth * scale;
+            const height = video.videoHeight * scale;
+
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(video, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+            option.classList.add('ready');
+        };
+
+        // Cached videos are never played (clones are), so they still sit on their first frame
+        if (video.readyState >= 2 && video.videoWidth > 0) {
+            draw();
+        } else {
+            video.addEventListener('loadeddata', draw, { once: true });
+        }
+    }
+
+    /**
+     * Highlight the active character's choice (or shuffle) and mark the pose it is doing
+     */
+    updatePosePicker() {
+        const character = this.state.activeCharacter;
+        this.elements.posePicker.querySelectorAll('.pose-option').forEach(option => {
+            const poseId = option.dataset.poseId || null;
+            option.classList.toggle('active', poseId === character.selectedPoseId);
+            option.classList.toggle('current', poseId !== null && poseId === character.poseId);
+        });
+    }
+
+    /**
+     * Choose a pose (null = shuffle) for the active character and, unless told otherwise, swap to it right away
+     */
+    async selectPose(poseId, { play = true } = {}) {
+        if (this.state.isCapturing || this.state.countdownTimer) return;
+
+        const character = this.state.activeCharacter;
+        character.selectedPoseId = this.getPose(poseId) ? poseId : null;
+        this.updatePosePicker();
+        console.log('🎯 Pose choice:', character.selectedPoseId || 'shuffle');
+
+        if (play && !this.elements.cameraScreen.classList.contains('hidden')) {
+            await this.prepareCharacter(character);
+        }
+    }
+
+    /**
+     * Move the active character to the next (1) or previous (-1) pose in manifest order
+     */
+    stepPose(direction) {
+        const poses = this.poseVideos;
+        if (poses.length < 2) return;
+
+        const index = poses.findIndex(pose => pose.id === this.state.activeCharacter.poseId);
+        const next = poses[(index + direction + poses.length) % poses.length];
+        this.selectPose(next.id);
+    }
+
+    /**
+     * Select a filter, update the live preview and briefly show its name
+     */
+    setFilter(filterId, { announce = true } = {}) {
+        const filter = PhotoFilters.get(filterId);
+        this.state.filterId = filter.id;
+        this.applyPreviewFilter();
+
+        if (announce) {
+            this.showCameraLabel(filter.name);
+        }
+
+        console.log('🎨 Filter:', filter.id);
+    }
+
+    /**
+     * Briefly show a label over the camera view (filter name, zoom level)
+     */
+    showCameraLabel(text) {
+        const label = this.elements.filterLabel;
+        label.textContent = text;
+        label.classList.remove('hidden');
+        clearTimeout(this.state.filterLabelTimer);
+        this.state.filterLabelTimer = setTimeout(() => label.classList.add('hidden'), 1200);
+    }
+
+    /**
+     * Apply the current filter to the live camera preview (same filter functions as the capture)
+     */
+    applyPreviewFilter() {
+        const filter = PhotoFilters.get(this.state.filterId);
+        const video = this.elements.cameraVideo;
+        video.style.filter = filter.id === 'none'
+            ? ''
+            : PhotoFilters.toFilterString(filter, video.offsetWidth);
+
+        // Segmentation layers are part of the camera layer
+        this.elements.personLayer.style.filter = video.style.filter;
+        this.elements.backdropLayer.style.filter = video.style.filter;
+    }
+
+    /**
+     * Load countdown mode from URL parameter (?countdown=5) or the last choice on this device
+     */
+    loadCountdownSetting() {
+        const params = new URLSearchParams(window.location.search);
+        let seconds = parseInt(params.get('countdown'), 10);
+
+        if (isNaN(seconds)) {
+            try {
+                seconds = parseInt(localStorage.getItem('photobooth.countdown'), 10);
+            } catch (error) {
+                console.warn('Countdown setting not readable:', error);
+            }
+        }
+
+        if (!this.countdownOptions.includes(seconds)) {
+            seconds = this.config.countdown;
+        }
+
+        this.setCountdownMode(this.countdownOptions.includes(seconds) ? seconds : 0);
+    }
+
+    /**
+     * Switch to the next countdown mode (off → 3 → 5 → 10 → off)
+     */
+    cycleCountdownMode() {
+        const index = this.countdownOptions.indexOf(this.state.countdownSeconds);
+        const next = this.countdownOptions[(index + 1) % this.countdownOptions.length];
+        this.setCountdownMode(next);
+
+        try {
+            localStorage.setItem('photobooth.countdown', String(next));
+        } catch (error) {
+            console.warn('Countdown setting not saved:', error);
+        }
+    }
+
+    /**
+     * Apply countdown mode and update the timer button
+     */
+    setCountdownMode(seconds) {
+        this.state.countdownSeconds = seconds;
+
+        const button = this.elements.countdownToggleBtn;
+        button.textContent = seconds > 0 ? `${seconds}s` : 'Off';
+        button.classList.toggle('active', seconds > 0);
+
+        console.log('⏱️ Countdown mode:', seconds > 0 ? `${seconds}s` : 'off');
+    }
+
+    /**
+     * Run countdown on the overlay. Resolves true when it reaches zero, false if cancelled.
+     */
+    runCountdown(seconds, { syncPose = true } = {}) {
+        const overlay = this.elements.countdownOverlay;
+        const number = this.elements.countdownNumber;
+        const captureBtn = this.elements.captureBtn;
+
+        return new Promise((resolve) => {
+            let remaining = seconds;
+
+            const showNumber = (value) => {
+                number.textContent = value;
+                // Restart the pulse animation on every tick
+                number.style.animation = 'none';
+                void number.offsetWidth;
+                number.style.animation = '';
+            };
+
+            const finish = (completed) => {
+                clearInterval(this.state.countdownTimer);
+                this.state.countdownTimer = null;
+                this.state.countdownCancel = null;
+                overlay.classList.add('hidden');
+                captureBtn.textContent = this.captureButtonLabel;
+                resolve(completed);
+            };
+
+            this.state.countdownCancel = () => {
+                if (syncPose) this.returnToIdle();
+                finish(false);
+            };
+
+            overlay.classList.remove('hidden');
+            captureBtn.textContent = 'Cancel';
+            showNumber(remaining);
+
+            // Flash runs ~300ms before the frame is grabbed, so aim the pose at that moment
+            if (syncPose) {
+                this.startPoses(seconds + 0.3);
+            }
+
+            this.state.countdownTimer = setInterval(() => {
+                remaining--;
+                if (remaining <= 0) {
+                    finish(true);
+                    return;
+                }
+                showNumber(remaining);
+            }, 1000);
+
+            console.log(`⏱️ Countdown started: ${seconds}s`);
+        });
+    }
+
+    /**
+     * Cancel a running countdown
+     */
+    cancelCountdown() {
+        if (this.state.countdownCancel) {
+            this.state.countdownCancel();
+        }
+    }
+
+    /**
+     * Line up every character's pose video so it reaches its capture frame when the shutter fires
+     */
+    syncPoseToShutter(secondsUntilShutter) {
+        this.state.poseSyncTimers.forEach(timer => clearTimeout(timer));
+        this.state.poseSyncTimers = [];
+
+        this.state.characters.forEach(character => {
+            const poseVideo = character.video;
+            if (!poseVideo) return;
+
+            const captureAt = this.getPoseCaptureTime(character);
+            const startAt = captureAt - secondsUntilShutter;
+
+            if (startAt >= 0) {
+                // Countdown is shorter than the clip - jump into the middle of it
+                poseVideo.currentTime = startAt;
+                poseVideo.play().catch(error => console.warn('⚠️ Pose sync play failed:', error));
+            } else {
+                // Countdown is longer than the clip - hold on the first frame, then start
+                poseVideo.pause();
+                poseVideo.currentTime = 0;
+                this.state.poseSyncTimers.push(setTimeout(() => {
+                    poseVideo.play().catch(error => console.warn('⚠️ Pose sync play failed:', error));
+                }, -startAt * 1000));
+            }
+
+            console.log('🎯 Pose synced to shutter:', { pose: character.poseId, captureAt, startAt });
+        });
+    }
+
+    // Removed: captureWithEffects function (simplified in main capturePhoto)
+
+    /**
+     * Show flash effect
+     */
+    async showFlashEffect() {
+        return new Promise((resolve) => {
+            // Create flash overlay
+            const flash = document.createElement('div');
+            flash.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: white;
+                z-index: 9999;
+                opacity: 0;
+                pointer-events: none;
+            `;
+
+            document.body.appendChild(flash);
+
+            // Animate flash
+            flash.style.transition = 'opacity 150ms ease-out';
+            flash.style.opacity = '0.8';
+
+            setTimeout(() => {
+                flash.style.opacity = '0';
+                setTimeout(() => {
+                    document.body.removeChild(flash);
+                    resolve();
+                }, 150);
+            }, 150);
+
+            console.log('📸 Flash effect triggered');
+        });
+    }
+
+    /**
+     * Play shutter sound
+     */
+    playShutterSound() {
+        try {
+            // Create audio element for shutter sound
+            const audio = new Audio();
+            // Use a data URL for a simple click sound
+            audio.src = 'data:audio/wav;base64,UklGRnoGAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQoGAACBhYqFbF1fdJivrJBhNjVgodDbq2EcBj+a2/LDciUFLIHO8tiJNwgZaLvt559NEAxQp+PwtmMcBjiR1/LMeSwFJHfH8N2QQAoUXrTp66hVFApGn+DyvmEcCDuS1/LMeSsFJ3TH8N+PQAkTYLTo66hVFAlHnt/yv2EcCDuS1/LNeSsFJnPH8d+PQQkTYLTo66hVFAlGnt/zwGEcCDuS1/LNeSsFJnPH8d+PQAkTYLTo66hVFAlGnt/ywGEbCTuS1/LNeSsFJnPH8d+PQAkTYLTo66hVFAlGnt/ywGEbCTuS1/LNeSsFJnPH8d+PQAkTYLTo66hVFAlGnt/ywGEbCTuS1/LNeSsFJnPH8d+PQAkTYLTo66hVFAlGnt/ywGEbCTuS1/LNeSsFJnPH8d+PQAkTYLTo66hVFAlGnt/ywGEbCQ==';
+            audio.volume = 0.3;
+            audio.play().catch(() => {
+                console.log('Shutter sound not available (browser restriction)');
+            });
+            console.log('🔊 Shutter sound triggered');
+        } catch (error) {
+            console.log('Shutter sound not supported');
+        }
+    }
+
+    // Removed: playPoseAnimation function (dead code, poses now come from the manifest)
+
+    /**
+     * Enhanced cleanup for pose videos (idle loops keep running)
+     */
+    cleanupPoseVideos() {
+        // Clean up every character's pose video
+        this.state.characters.forEach(character => this.removeCharacterVideo(character));
+
+        // Clean up any orphaned pose videos (memory leak prevention)
+        const allVideos = document.querySelectorAll('video');
+        allVideos.forEach(video => {
+            // Remove any character video that doesn't belong to a character (idle loops stay running)
+            if (video !== this.elements.cameraVideo &&
+                video.className.includes('character-overlay') &&
+                !this.getIdleVideos().includes(video)) {
+
+                try {
+                    video.pause();
+                    video.currentTime = 0;
+                    video.src = '';
+                    if (video.parentNode) {
+                        video.parentNode.removeChild(video);
+                        console.log('🧹 Removed orphaned pose video');
+                    }
+                } catch (error) {
+                    console.warn('Failed to cleanup orphaned video:', error);
+                }
+            }
+        });
+
+        // Reset pose video state
+        this.state.poseVideoPlaying = false;
+        this.state.poseVideoEnded = false;
+
+        // Increment capture count for monitoring
+        this.state.captureCount++;
+        console.log(`📊 Capture #${this.state.captureCount} - Memory cleanup completed`);
+
+        // Force garbage collection hint every 5 captures
+        if (this.state.captureCount % 5 === 0) {
+            console.log('🗑️ Capture milestone reached, suggesting garbage collection');
+            // Force a small delay to allow garbage collection
+            setTimeout(() => {
+                console.log('♻️ Memory optimization window completed');
+            }, 100);
+        }
+    }
+
+    /**
+     * Stop and remove a character's pose video (the character itself stays, ready for its next pose)
+     */
+    removeCharacterVideo(character) {
+        if (!character.video) return;
+
+        this.disposeVideo(character.video);
+        character.video = null;
+        character.poseId = null;
+        console.log('🧹 Enhanced cleanup: pose video resources freed');
+    }
+
+    /**
+     * Stop and remove a character's idle loop (only when the character leaves)
+     */
+    removeIdleVideo(character) {
+        if (!character.idleVideo) return;
+
+        this.disposeVideo(character.idleVideo);
+        character.idleVideo = null;
+    }
+
+    /**
+     * Pause a video, release its source and take it out of the DOM
+     */
+    disposeVideo(video) {
+        try {
+            // Pause and reset video to free resources
+            video.pause();
+            video.currentTime = 0;
+            video.src = '';
+
+            // Remove from DOM
+            if (video.parentNode) {
+                video.parentNode.removeChild(video);
+            }
+        } catch (error) {
+            console.warn('Failed to cleanup video:', error);
+        }
+    }
+
+    /**
+     * Capture frame - exactly what user sees during last second
+     */
+    async captureFrame() {
+        console.log('📸 Capturing exactly what user sees on screen...');
+
+        // Output size from the chosen preset (3:4 at 1440x1920 by default)
+        const { width, height } = this.getOutputPreset();
+
+        // Hold the characters on this frame while the camera takes its full-resolution photo
+        const resume = this.freezeCharacters();
+        let still = null;
+        let scene;
+
+        try {
+            still = await this.takeFullResolutionStill();
+            this.state.lastCaptureSource = still ? `photo ${still.image.width}x${still.image.height}` : 'video frame';
+
+            // Camera feed (the still, or the preview frame as a fallback) and character overlay
+            scene = await this.snapshotScene(this.getScene(still));
+        } catch (error) {
+            if (still) still.image.close();
+            throw error;
+        } finally {
+            resume();
+        }
+
+        // Composite, add the frame and encode (in the capture worker where possible)
+        const blob = await this.embedPhotoMetadata(await this.renderCapture({ width, height, scene }));
+        this.showCapturedPhoto(blob);
+
+        console.log('✅ Final capture complete - matches screen view:', `${width}x${height} ${blob.type}, ${Math.round(blob.size / 1024)}KB`);
+    }
+
+    /**
+     * Native-resolution still from ImageCapture.takePhoto(), cropped to the preview's framing.
+     * Resolves to { image, x, y, width, height } (the crop within the photo), or null where
+     * unsupported (Safari, Firefox) or when the photo can't be lined up with the preview.
+     */
+    async takeFullResolutionStill() {
+        const track = this.state.mediaStream && this.state.mediaStream.getVideoTracks()[0];
+        const video = this.elements.cameraVideo;
+        if (!this.config.capture.fullResolution || !track || typeof ImageCapture === 'undefined') return null;
+
+        try {
+            const { imageCapture, settings } = await this.getImageCapture(track);
+
+            // Some cameras never answer - don't keep the guest waiting on the shutter
+            let timer = null;
+            const blob = await Promise.race([
+                imageCapture.takePhoto(settings),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error('takePhoto timed out')), 4000);
+                })
+            ]).finally(() => clearTimeout(timer));
+
+            const image = await createImageBitmap(blob);
+            const videoAspect = video.videoWidth / video.videoHeight;
+            const photoAspect = image.width / image.height;
+
+            // A photo rotated differently from the preview can't be aligned reliably
+            if (videoAspect !== 1 && photoAspect !== 1 && (videoAspect < 1) !== (photoAspect < 1)) {
+                console.warn('⚠️ Photo orientation differs from the preview - using the video frame', {
+                    photo: `${image.width}x${image.height}`,
+                    video: `${video.videoWidth}x${video.videoHeight}`
+                });
+                image.close();
+                return null;
+            }
+
+            // The video track is a center crop of the sensor when their aspect ratios differ
+            let width = image.width;
+            let height = image.height;
+            if (photoAspect > videoAspect) {
+                width = height * videoAspect;
+            } else {
+                height = width / videoAspect;
+            }
+
+            console.log('📷 Full-resolution still:', { photo: `${image.width}x${image.height}`, crop: `${Math.round(width)}x${Math.round(height)}` });
+            return { image, x: (image.width - width) / 2, y: (image.height - height) / 2, width, height };
+        } catch (error) {
+            console.warn('⚠️ Full-resolution still failed - using the video frame:', error);
+            return null;
+        }
+    }
+
+    /**
+     * ImageCapture for the current track with its largest photo size, looked up once per track
+     * (querying photo capabilities can briefly stall the preview on some Android devices)
+     */
+    async getImageCapture(track) {
+        if (this.imageCapture && this.imageCapture.track === track) return this.imageCapture;
+
+        const imageCapture = new ImageCapture(track);
+        const settings = {};
+
+        try {
+            const capabilities = await imageCapture.getPhotoCapabilities();
+            if (capabilities.imageWidth && capabilities.imageWidth.max) {
+                settings.imageWidth = capabilities.imageWidth.max;
+            }
+        } catch (error) {
+            console.warn('⚠️ Photo capabilities unavailable, using the default photo size:', error);
+        }
+
+        this.imageCapture = { track, imageCapture, settings };
+        return this.imageCapture;
+    }
+
+    /**
+     * Pause every playing character video; returns a function that resumes them
+     */
+    freezeCharacters() {
+        const playing = [...this.getCharacterVideos(), ...this.getIdleVideos()].filter(video => !video.paused);
+        playing.forEach(video => video.pause());
+
+        return () => playing.forEach(video => {
+            if (!video.ended) video.play().catch(() => { });
+        });
+    }
+
+    /**
+     * Load the person segmenter when the event asks for it. Any failure leaves normal layering in place.
+     */
+    async setupSegmentation() {
+        const settings = this.config.segmentation;
+        if (!['front', 'background'].includes(settings.mode)) return;
+
+        // The model needs a few cores to keep up with the camera - don't even download it otherwise
+        if (navigator.hardwareConcurrency && navigator.hardwareConcurrency < 4) {
+            this.state.segmentationStatus = 'skipped: too few CPU cores';
+            console.log('🧍 Person segmentation skipped on this device');
+            return;
+        }
+
+        this.state.segmentationStatus = 'loading';
+
+        if (settings.mode === 'background') {
+            const backdrop = settings.backdrop || this.config.branding.background;
+            const backdropCss = this.toCssUrl(backdrop);
+            if (backdropCss !== 'none') {
+                this.backdropImage = new Image();
+                // Requested with CORS so it can't taint the capture canvas; another host without CORS
+                // headers leaves photos on the background colour instead
+                this.backdropImage.crossOrigin = 'anonymous';
+                this.backdropImage.src = new URL(backdrop, document.baseURI).href;
+            }
+            this.elements.backdropLayer.style.backgroundImage = backdropCss;
+        }
+
+        this.segmenter = new PersonSegmenter({
+            bundleUrl: settings.bundle,
+            wasmUrl: settings.wasm,
+            modelUrl: settings.model,
+            maxFrameMs: settings.maxFrameMs
+        });
+
+        if (!(await this.segmenter.load())) {
+            this.disableSegmentation('model unavailable');
+            return;
+        }
+
+        this.state.segmentationActive = true;
+        this.state.segmentationStatus = 'active';
+        this.elements.personLayer.classList.toggle('in-front', settings.mode === 'front');
+        this.startSegmentationPreview();
+    }
+
+    /**
+     * Keep the live person layer (and backdrop) updated while the camera screen is showing
+     */
+    startSegmentationPreview() {
+        if (!this.state.segmentationActive || this.state.segmentationFrame) return;
+
+        const mode = this.config.segmentation.mode;
+        const layer = this.elements.personLayer;
+        const video = this.elements.cameraVideo;
+        layer.classList.remove('hidden');
+        this.elements.backdropLayer.classList.toggle('hidden', mode !== 'background');
+
+        const tick = () => {
+            this.state.segmentationFrame = null;
+            if (!this.state.segmentationActive || this.elements.cameraScreen.classList.contains('hidden')) return;
+
+            const cutout = this.segmenter.cutout(video);
+            if (cutout) {
+                if (layer.width !== cutout.width || layer.height !== cutout.height) {
+                    layer.width = cutout.width;
+                    layer.height = cutout.height;
+                }
+                const ctx = layer.getContext('2d');
+                ctx.clearRect(0, 0, layer.width, layer.height);
+                ctx.drawImage(cutout, 0, 0);
+            }
+
+            // Falling behind the camera looks worse than no segmentation at all
+            if (this.segmenter.tooSlow) {
+                this.disableSegmentation(`too slow (${Math.round(this.segmenter.averageMs)}ms per frame)`);
+                return;
+            }
+
+            this.state.segmentationFrame = requestAnimationFrame(tick);
+        };
+
+        this.state.segmentationFrame = requestAnimationFrame(tick);
+    }
+
+    /**
+     * Fall back to normal layering (character over the camera feed) for the rest of the session
+     */
+    disableSegmentation(reason) {
+        console.warn('🧍 Person segmentation off:', reason);
+        this.state.segmentationActive = false;
+        this.state.segmentationStatus = `disabled: ${reason}`;
+
+        if (this.state.segmentationFrame) {
+            cancelAnimationFrame(this.state.segmentationFrame);
+            this.state.segmentationFrame = null;
+        }
+
+        this.elements.personLayer.classList.add('hidden');
+        this.elements.backdropLayer.classList.add('hidden');
+
+        if (this.segmenter) {
+            this.segmenter.close();
+        }
+    }
+
+    /**
+     * Describe the scene as guests see it right now: camera frame (or `still`, from
+     * takeFullResolutionStill), segmentation layers and every visible character, back to front.
+     * Sources are the live elements; snapshotScene turns them into ImageBitmaps for the worker.
+     */
+    getScene(still = null) {
+        const video = this.elements.cameraVideo;
+        const camera = still || { image: video, x: 0, y: 0, width: video.videoWidth, height: video.videoHeight };
+
+        // Segmentation: a fresh cut-out of this exact frame, or normal layering if it isn't available
+        const segmentation = this.state.segmentationActive ? this.config.segmentation.mode : 'off';
+        const cutout = segmentation !== 'off' ? this.segmenter.cutout(camera.image) : null;
+        const backdrop = this.backdropImage;
+
+        const characters = this.state.characters
+            .map(character => ({ video: this.getVisibleCharacterVideo(character), character }))
+            .filter(({ video }) => video && video.readyState >= 2)
+            .map(({ video, character }) => ({ image: video, placement: { ...character.placement } }));
+
+        console.log('🎬 Scene:', {
+            camera: `${Math.round(camera.width)}x${Math.round(camera.height)}`,
+            segmentation: cutout ? segmentation : 'off',
+            characters: characters.map(({ image }) => image.currentSrc)
+        });
+
+        return {
+            camera,
+            mirror: this.state.mirrorCamera,
+            zoom: this.state.zoom.native ? 1 : this.state.zoom.value,
+            filter: PhotoFilters.get(this.state.filterId),
+            segmentation: cutout ? segmentation : 'off',
+            cutout,
+            backdrop: cutout && backdrop && backdrop.complete && backdrop.naturalWidth ? backdrop : null,
+            backdropColor: this.config.colors.background,
+            characters
+        };
+    }
+
+    /**
+     * Draw camera feed and character overlays exactly as they appear on screen
+     */
+    drawScene(ctx, targetWidth, targetHeight, still = null) {
+        CaptureCompositor.drawScene(ctx, this.getScene(still), targetWidth, targetHeight);
+    }
+
+    /**
+     * Copy a scene's live sources to ImageBitmaps, so it can be drawn later (or in the worker)
+     * while the videos play on
+     */
+    async snapshotScene(scene) {
+        const [camera, cutout, backdrop, ...characters] = await Promise.all([
+            this.snapshotImage(scene.camera.image),
+            scene.cutout && this.snapshotImage(scene.cutout),
+            scene.backdrop && this.snapshotImage(scene.backdrop),
+            ...scene.characters.map(({ image }) => this.snapshotImage(image))
+        ]);
+
+        return {
+            ...scene,
+            camera: { ...scene.camera, image: camera },
+            cutout,
+            backdrop,
+            characters: scene.characters.map((character, index) => ({ ...character, image: characters[index] }))
+        };
+    }
+
+    /**
+     * ImageBitmap copy of a video, image or canvas (ImageBitmaps and unsupported browsers pass through)
+     */
+    snapshotImage(image) {
+        if (typeof createImageBitmap !== 'function' || image instanceof ImageBitmap) {
+            return Promise.resolve(image);
+        }
+        return createImageBitmap(image);
+    }
+
+    /**
+     * Capture a single strip shot (camera + character, no frame) onto its own canvas
+     */
+    captureShot() {
+        const canvas = document.createElement('canvas');
+        const { width, height } = this.getOutputSize(this.stripCell.width);
+        canvas.width = width;
+        canvas.height = height;
+
+        this.drawScene(canvas.getContext('2d'), canvas.width, canvas.height);
+
+        return canvas;
+    }
+
+    /**
+     * Composite strip shots into a vertical strip or 2x2 grid with the custom frame
+     */
+    async composeStrip(shots, layout) {
+        const { gap, margin } = this.stripCell;
+        const { width: cellWidth, height: cellHeight } = this.getOutputSize(this.stripCell.width);
+        const columns = layout === 'grid' ? 2 : 1;
+        const rows = Math.ceil(shots.length / columns);
+
+        const width = margin * 2 + columns * cellWidth + (columns - 1) * gap;
+        const height = margin * 2 + rows * cellHeight + (rows - 1) * gap;
+
+        const cells = await Promise.all(shots.map(async (shot, index) => {
+            const column = index % columns;
+            const row = Math.floor(index / columns);
+            return {
+                image: await this.snapshotImage(shot),
+                x: margin + column * (cellWidth + gap),
+                y: margin + row * (cellHeight + gap),
+                width: cellWidth,
+                height: cellHeight
+            };
+        }));
+
+        // Classic photo-booth paper background, shots, then the frame and logos on top
+        const blob = await this.embedPhotoMetadata(await this.renderCapture({ width, height, background: 'white', cells }));
+        this.showCapturedPhoto(blob);
+
+        console.log(`✅ ${layout} composite complete:`, `${width}x${height}`);
+    }
+
+    /**
+     * Start the capture worker where OffscreenCanvas can composite and encode off the main thread
+     */
+    createCaptureWorker() {
+        const supported = typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function' &&
+            'convertToBlob' in OffscreenCanvas.prototype;
+
+        if (!supported) {
+            console.log('ℹ️ OffscreenCanvas not available - captures are composited on the main thread');
+            return null;
+        }
+
+        try {
+            // Some browsers only support WebGL on OffscreenCanvas
+            if (!new OffscreenCanvas(1, 1).getContext('2d')) {
+                throw new Error('No 2D OffscreenCanvas');
+            }
+
+            const worker = new Worker('js/capture-worker.js');
+            worker.addEventListener('message', (event) => {
+                const { id, blob, error } = event.data;
+                const job = this.captureJobs.get(id);
+                if (!job) return;
+
+                this.captureJobs.delete(id);
+                if (blob) {
+                    job.resolve(blob);
+                } else {
+                    job.reject(new Error(error || 'Capture worker failed'));
+                }
+            });
+            worker.addEventListener('error', (event) => {
+                // Fail anything in flight and composite on the main thread from now on
+                console.warn('⚠️ Capture worker failed, using the main thread:', event.message);
+                this.captureJobs.forEach(job => job.reject(new Error(event.message || 'Capture worker failed')));
+                this.captureJobs.clear();
+                this.captureWorker = null;
+                worker.terminate();
+            });
+
+            console.log('🧵 Capture worker started');
+            return worker;
+        } catch (error) {
+            console.warn('⚠️ Capture worker unavailable, using the main thread:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Composite a capture job (see CaptureCompositor) with the frame template on top, encoded in
+     * the output format. Runs in the capture worker when there is one, otherwise on the page.
+     */
+    async renderCapture(job) {
+        const type = this.getOutputFormat();
+        const quality = this.config.capture.quality;
+
+        if (this.captureWorker) {
+            const frame = await this.getFrameOverlay(job.width, job.height);
+
+            return new Promise((resolve, reject) => {
+                const id = ++this.captureJobId;
+                // Source bitmaps move to the worker; the cached frame overlay is copied
+                this.captureWorker.postMessage({ id, job: { ...job, frame }, type, quality }, CaptureCompositor.bitmaps(job));
+                this.captureJobs.set(id, { resolve, reject });
+            });
+        }
+
+        const canvas = this.elements.captureCanvas;
+        canvas.width = job.width;
+        canvas.height = job.height;
+
+        const ctx = canvas.getContext('2d');
+        try {
+            CaptureCompositor.compose(ctx, job);
+        } finally {
+            CaptureCompositor.release(job);
+        }
+        this.drawCustomFrame(ctx, job.width, job.height);
+
+        return CaptureCompositor.encode(canvas, type, quality);
+    }
+
+    /**
+     * Frame template rendered at a capture size, for the worker (which can't use the page's fonts).
+     * The last one is cached so a capture at the same size and on the same day only copies it.
+     */
+    getFrameOverlay(width, height) {
+        const key = `${width}x${height} ${new Date().toDateString()}`;
+        const cached = this.frameOverlay;
+        if (cached && cached.key === key && cached.template === this.frameTemplate) {
+            return cached.bitmap;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        this.drawCustomFrame(canvas.getContext('2d'), width, height);
+
+        // Cache the promise so a capture during the prepare shares it
+        const bitmap = createImageBitmap(canvas);
+        if (cached) cached.bitmap.then(previous => previous.close(), () => {});
+        this.frameOverlay = { key, template: this.frameTemplate, bitmap };
+        return bitmap;
+    }
+
+    /**
+     * Render the frame overlay for the current preset ahead of the first capture
+     */
+    prepareFrameOverlay() {
+        if (!this.captureWorker || !this.frameTemplate) return;
+
+        const { width, height } = this.getOutputPreset();
+        this.getFrameOverlay(width, height).catch(error => {
+            console.warn('⚠️ Failed to prepare frame overlay:', error);
+        });
+    }
+
+    /**
+     * Write date taken, event, poses and organizer credit (plus GPS if enabled) into a JPEG capture,
+     * so it sorts and credits properly in camera rolls. Other formats, or any failure, pass through.
+     */
+    async embedPhotoMetadata(blob) {
+        const { credit, copyright, hashtag } = this.config.metadata;
+
+        try {
+            return await PhotoMetadata.embed(blob, {
+                date: new Date(),
+                software: this.metadataSoftware,
+                artist: credit,
+                credit,
+                copyright,
+                hashtag,
+                eventName: this.config.event.name,
+                poseIds: this.state.capturedPoseIds,
+                location: this.config.metadata.gps ? this.state.location : null
+            });
+        } catch (error) {
+            console.warn('⚠️ Failed to add photo metadata:', error);
+            return blob;
+        }
+    }
+
+    /**
+     * Refresh the position used for GPS metadata (only when the event config enables it).
+     * Called after the camera has started and between captures, never on page load; captures use
+     * the last known position rather than waiting for a fix.
+     */
+    updateLocation() {
+        if (!this.config.metadata.gps || !navigator.geolocation) return;
+
+        navigator.geolocation.getCurrentPosition((position) => {
+            const { latitude, longitude, altitude } = position.coords;
+            this.state.location = { latitude, longitude, altitude };
+            console.log('📍 Location for photo metadata:', this.state.location);
+        }, (error) => {
+            console.warn('⚠️ Location unavailable for photo metadata:', error.message);
+        }, { maximumAge: 10 * 60 * 1000, timeout: 30000 });
+    }
+
+    /**
+     * Show an encoded capture on the results screen (as an object URL - never a data URL)
+     */
+    showCapturedPhoto(blob) {
+        this.releaseCapturedMedia();
+        this.state.capturedBlob = blob;
+        this.state.capturedImageUrl = URL.createObjectURL(blob);
+        this.elements.capturedImage.src = this.state.capturedImageUrl;
+    }
+
+    /**
+     * Load frame template from URL parameter (?template=acme → templates/acme.json)
+     */
+    async loadFrameTemplate() {
+        const name = this.config.branding.template || 'default';
+
+        let template = this.defaultFrameTemplate;
+
+        if (/^[\w-]+$/.test(name)) {
+            try {
+                const response = await fetch(`templates/${name}.json`, { cache: 'no-cache' });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+                }
+                template = await response.json();
+                console.log('🖼️ Frame template loaded:', template.name || name);
+            } catch (error) {
+                console.warn(`⚠️ Failed to load frame template "${name}", using built-in default:`, error);
+            }
+        } else {
+            console.warn(`⚠️ Invalid frame template name "${name}", using built-in default`);
+        }
+
+        // Fill {config.path} placeholders (captions, colours, logo) from the event config
+        const layers = (Array.isArray(template.layers) ? template.layers : []).map(layer => {
+            const resolved = { ...layer };
+            Object.keys(resolved).forEach(key => {
+                if (typeof resolved[key] === 'string') resolved[key] = this.resolveConfigText(resolved[key]);
+            });
+            return resolved;
+        });
+
+        // Preload every image layer so drawing stays synchronous at capture time
+        await Promise.all(layers
+            .filter(layer => layer.type === 'image' && layer.src)
+            .map(layer => this.loadTemplateImage(layer)));
+
+        this.frameTemplate = { ...template, layers };
+        this.renderFramePreview();
+        this.prepareFrameOverlay();
+    }
+
+    /**
+     * Load the image for an image layer and attach it as layer.image
+     */
+    loadTemplateImage(layer) {
+        return new Promise((resolve) => {
+            const image = new Image();
+            image.onload = () => {
+                layer.image = image;
+                resolve();
+            };
+            image.onerror = () => {
+                console.warn('⚠️ Failed to load template image:', layer.src);
+                resolve();
+            };
+            image.src = layer.src;
+        });
+    }
+
+    /**
+     * Draw the frame template over the live preview so guests see the final framing
+     */
+    renderFramePreview() {
+        const canvas = this.elements.framePreview;
+        if (!canvas || !this.frameTemplate) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.offsetWidth * ratio);
+        const height = Math.round(canvas.offsetHeight * ratio);
+
+        // Not laid out yet (screen hidden) - redrawn when the camera screen is shown
+        if (width === 0 || height === 0) return;
+
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        this.drawCustomFrame(ctx, width, height);
+    }
+
+    /**
+     * Draw the frame template layers (border, frame overlays, logos, captions, QR codes, date stamps)
+     */
+    drawCustomFrame(ctx, canvasWidth, canvasHeight) {
+        const template = this.frameTemplate || this.defaultFrameTemplate;
+
+        template.layers.forEach(layer => {
+            try {
+                this.drawTemplateLayer(ctx, layer, canvasWidth, canvasHeight);
+            } catch (error) {
+                console.warn(`Failed to draw ${layer.type} layer:`, error);
+            }
+        });
+    }
+
+    /**
+     * Draw a single template layer. Positions are fractions of the canvas width (x) and height (y);
+     * sizes are fractions of the canvas width unless a relative height is given.
+     */
+    drawTemplateLayer(ctx, layer, width, height) {
+        switch (layer.type) {
+            case 'border': {
+                const thickness = Math.max(width * (layer.width ?? 0.01), layer.minWidth ?? 0);
+                const inset = thickness / 2;
+                ctx.strokeStyle = layer.color || 'white';
+                ctx.lineWidth = thickness;
+                ctx.strokeRect(inset, inset, width - thickness, height - thickness);
+                break;
+            }
+
+            case 'image': {
+                const image = layer.image;
+                if (!image || !image.naturalWidth) return;
+
+                const drawWidth = width * (layer.width ?? layer.size ?? 1);
+                const drawHeight = layer.height != null
+                    ? height * layer.height
+                    : drawWidth * (image.naturalHeight / image.naturalWidth);
+
+                const { x, y } = this.anchorTemplateLayer(layer, width, height, drawWidth, drawHeight);
+                ctx.save();
+                ctx.globalAlpha = layer.opacity ?? 1;
+                ctx.drawImage(image, x, y, drawWidth, drawHeight);
+                ctx.restore();
+                break;
+            }
+
+            case 'qrcode': {
+                if (!layer.text) return;
+
+                // Encode once per template; the layer keeps the module matrix
+                if (!layer.qr) {
+                    try {
+                        layer.qr = QRCode.encode(layer.text, { ecl: layer.ecl || 'M' });
+                    } catch (error) {
+                        console.warn('⚠️ Failed to encode template QR code:', error);
+                        layer.text = null;
+                        return;
+                    }
+                }
+
+                const drawSize = width * (layer.size ?? layer.width ?? 0.15);
+                const { x, y } = this.anchorTemplateLayer(layer, width, height, drawSize, drawSize);
+                ctx.save();
+                ctx.globalAlpha = layer.opacity ?? 1;
+                QRCode.drawToCanvas(layer.qr, ctx, x, y, drawSize, {
+                    margin: layer.margin ?? 2,
+                    dark: layer.color || '#000',
+                    light: layer.background || '#fff'
+                });
+                ctx.restore();
+                break;
+            }
+
+            case 'text':
+            case 'date': {
+                const text = layer.type === 'date' ? this.formatTemplateDate(layer) : layer.text;
+                if (!text) return;
+
+                const fontSize = width * (layer.size ?? 0.05);
+                ctx.save();
+                ctx.font = `${layer.weight || 700} ${fontSize}px ${layer.font || 'Montserrat, sans-serif'}`;
+                ctx.fillStyle = layer.color || 'white';
+                ctx.textAlign = layer.align || 'left';
+                ctx.textBaseline = layer.baseline || 'top';
+                if (layer.shadow) {
+                    ctx.shadowColor = layer.shadow;
+                    ctx.shadowBlur = fontSize * 0.2;
                 }
+                ctx.fillText(text, width * (layer.x ?? 0), height * (layer.y ?? 0));
+                ctx.restore();
+                break;
+            }
+
+            default:
+                console.warn('⚠️ Unknown template layer type:', layer.type);
+        }
+    }
+
+    /**
+     * Resolve a layer's top-left corner from its x/y position and anchor (e.g. 'bottom-right', 'center')
+     */
+    anchorTemplateLayer(layer, width, height, drawWidth, drawHeight) {
+        const anchor = layer.anchor || 'top-left';
+        let x = width * (layer.x ?? 0);
+        let y = height * (layer.y ?? 0);
+
+        if (anchor.includes('right')) {
+            x -= drawWidth;
+        } else if (!anchor.includes('left')) {
+            x -= drawWidth / 2;
+        }
+
+        if (anchor.includes('bottom')) {
+            y -= drawHeight;
+        } else if (!anchor.includes('top')) {
+            y -= drawHeight / 2;
+        }
+
+        return { x, y };
+    }
+
+    /**
+     * Format today's date for a date stamp layer using Intl options from the template
+     */
+    formatTemplateDate(layer) {
+        const format = layer.format || { dateStyle: 'medium' };
+        try {
+            return new Intl.DateTimeFormat(layer.locale || undefined, format).format(new Date());
+        } catch (error) {
+            return new Date().toLocaleDateString();
+        }
+    }
 
-                this.state.currentPoseVideo = null;
-                console.log('🧹 Enhanced cleanup: pose video resources freed');
-            } catch (error) {
-                console.warn('Failed to cleanup pose video:', error);
+    /**
+     * Save the captured photo (or another image/blob URL, e.g. from the gallery) to the device.
+     * iOS only saves to Photos from the share sheet ("Save Image"), so it goes there when it can.
+     */
+    async savePhoto(url = this.state.capturedImageUrl, filename = null) {
+        if (!url) return;
+
+        try {
+            const blob = await (await fetch(url)).blob();
+            filename = filename || this.getPhotoFilename(blob.type, Date.now());
+
+            const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) ||
+                (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+            const file = new File([blob], filename, { type: blob.type });
+
+            if (isIOS && navigator.canShare && navigator.canShare({ files: [file] })) {
+                await this.shareFile(file);
+                return;
             }
+        } catch (error) {
+            if (error.name === 'AbortError') return; // guest closed the share sheet
+            console.warn('⚠️ Save via share sheet failed, downloading instead:', error);
         }
 
-        // Clean up any orphaned pose videos (memory leak prevention)
-        const allVideos = document.querySelectorAll('video');
-        allVideos.forEach(video => {
-            // Remove any video that's not the camera video (no idle overlay in simplified flow)
-            if (video !== this.elements.cameraVideo &&
-                video.className.includes('character-overlay')) {
+        this.downloadPhoto(url, filename || `photo-booth-${Date.now()}.jpg`);
+    }
 
-                try {
-                    video.pause();
-                    video.currentTime = 0;
-                    video.src = '';
-                    if (video.parentNode) {
-                        video.parentNode.removeChild(video);
-                        console.log('🧹 Removed orphaned pose video');
-                    }
-                } catch (error) {
-                    console.warn('Failed to cleanup orphaned video:', error);
-                }
-            }
-        });
+    /**
+     * Download a data/blob URL as a file
+     */
+    downloadPhoto(url = this.state.capturedImageUrl, filename = `photo-booth-${Date.now()}.jpg`) {
+        if (!url) return;
 
-        // Reset pose video state
-        this.state.poseVideoPlaying = false;
-        this.state.poseVideoEnded = false;
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
 
-        // Increment capture count for monitoring
-        this.state.captureCount++;
-        console.log(`📊 Capture #${this.state.captureCount} - Memory cleanup completed`);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
 
-        // Force garbage collection hint every 5 captures
-        if (this.state.captureCount % 5 === 0) {
-            console.log('🗑️ Capture milestone reached, suggesting garbage collection');
-            // Force a small delay to allow garbage collection
-            setTimeout(() => {
-                console.log('♻️ Memory optimization window completed');
-            }, 100);
+    /**
+     * Share captured photo using Web Share API (with its link when it has been uploaded)
+     */
+    async sharePhoto(url = this.state.capturedImageUrl, filename = null) {
+        if (!url || !navigator.share) return;
+
+        // The photo link only belongs to the photo on the results screen
+        const link = url === this.state.capturedImageUrl ? this.state.photoLink : null;
+
+        try {
+            // Convert data/blob URL to blob
+            const response = await fetch(url);
+            const blob = await response.blob();
+            filename = filename || this.getPhotoFilename(blob.type, Date.now());
+
+            const file = new File([blob], filename, { type: blob.type || 'image/jpeg' });
+
+            if (navigator.canShare && !navigator.canShare({ files: [file] })) {
+                if (!link) throw new Error('File sharing not supported');
+                await navigator.share({ title: 'Photo Booth Picture', url: link });
+                return;
+            }
+
+            await this.shareFile(file, link);
+        } catch (error) {
+            if (error.name === 'AbortError') return; // guest closed the share sheet
+
+            console.error('Share failed:', error);
+            // Fallback to download
+            this.downloadPhoto(url, filename || `photo-booth-${Date.now()}.jpg`);
         }
     }
 
     /**
-     * Capture frame - exactly what user sees during last second
+     * Open the share sheet for a file
      */
-    async captureFrame() {
-        console.log('📸 Capturing exactly what user sees on screen...');
-
-        const canvas = this.elements.captureCanvas;
-        const ctx = canvas.getContext('2d');
+    shareFile(file, link = null) {
+        const data = {
+            title: 'Photo Booth Picture',
+            text: 'Check out my photo booth picture!',
+            files: [file]
+        };
+        if (link) data.url = link;
 
-        // Set canvas to 3:4 aspect ratio at high resolution
-        const targetWidth = 720 * 2;
-        const targetHeight = 960 * 2;
-        canvas.width = targetWidth;
-        canvas.height = targetHeight;
+        return navigator.share(data);
+    }
 
-        // Calculate proper scaling to match CSS object-fit behavior
-        const video = this.elements.cameraVideo;
-        const characterOverlay = this.elements.characterOverlay;
+    /**
+     * File name with the right extension for an image or video type
+     */
+    getPhotoFilename(type, createdAt) {
+        const extension = ((type || '').split('/')[1] || 'jpg').split(';')[0].replace('jpeg', 'jpg');
+        return `photo-booth-${createdAt}.${extension}`;
+    }
 
-        // Camera video uses object-fit: cover (crop to fill while maintaining aspect ratio)
-        const videoAspect = video.videoWidth / video.videoHeight;
-        const canvasAspect = targetWidth / targetHeight;
+    /**
+     * Read kiosk settings from the event config (?kiosk=1&idle=60) and the PIN from ?pin=1234.
+     * The PIN is remembered on the device and removed from the address bar so guests can't see it.
+     * A kiosk hides Save and Share, so photos only leave it through the upload link's QR code, and
+     * only the operator may exit it: without an upload endpoint and a PIN it stays a normal booth.
+     */
+    loadKioskSettings() {
+        const params = new URLSearchParams(window.location.search);
+        const { enabled, idleSeconds } = this.config.kiosk;
 
-        let cameraDrawWidth, cameraDrawHeight, cameraDrawX, cameraDrawY;
+        let pin = params.get('pin');
+        try {
+            if (pin) {
+                localStorage.setItem('photobooth.kioskPin', pin);
+            } else {
+                pin = localStorage.getItem('photobooth.kioskPin');
+            }
+        } catch (error) {
+            console.warn('Kiosk PIN not persisted:', error);
+        }
 
-        if (videoAspect > canvasAspect) {
-            // Video is wider than canvas - crop width
-            cameraDrawHeight = targetHeight;
-            cameraDrawWidth = targetHeight * videoAspect;
-            cameraDrawX = (targetWidth - cameraDrawWidth) / 2;
-            cameraDrawY = 0;
-        } else {
-            // Video is taller than canvas - crop height  
-            cameraDrawWidth = targetWidth;
-            cameraDrawHeight = targetWidth / videoAspect;
-            cameraDrawX = 0;
-            cameraDrawY = (targetHeight - cameraDrawHeight) / 2;
+        if (params.has('pin')) {
+            params.delete('pin');
+            const query = params.toString();
+            history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
         }
 
-        console.log('📏 Camera drawing with object-fit: cover behavior:', {
-            videoSize: `${video.videoWidth}x${video.videoHeight}`,
-            drawSize: `${cameraDrawWidth}x${cameraDrawHeight}`,
-            drawPos: `${cameraDrawX},${cameraDrawY}`
-        });
+        const missing = [
+            !this.getUploadEndpoint() && 'an upload endpoint (upload.endpoint in config.json)',
+            !pin && 'an operator PIN (open once with ?pin=1234)'
+        ].filter(Boolean);
 
-        // Draw camera video with proper object-fit: cover scaling
-        if (this.state.currentCamera === 'user') {
-            // Mirror front camera like CSS does
-            ctx.save();
-            ctx.scale(-1, 1);
-            ctx.drawImage(video, -cameraDrawX - cameraDrawWidth, cameraDrawY, cameraDrawWidth, cameraDrawHeight);
-            ctx.restore();
-        } else {
-            ctx.drawImage(video, cameraDrawX, cameraDrawY, cameraDrawWidth, cameraDrawHeight);
+        if (enabled && missing.length > 0) {
+            const message = `Kiosk mode needs ${missing.join(' and ')}. Starting as a normal photo booth.`;
+            console.error(`❌ ${message}`);
+            alert(message);
         }
 
-        console.log('✅ Camera feed captured with proper aspect ratio');
+        return {
+            enabled: enabled && missing.length === 0,
+            idleSeconds: idleSeconds > 0 ? idleSeconds : 60,
+            pin
+        };
+    }
+
+    /**
+     * Shared-tablet setup: no gallery of other guests' photos,
+     * idle return from results and a hidden operator menu (long-press the top-left corner)
+     */
+    enableKioskMode() {
+        console.log('🏪 Kiosk mode enabled:', { idleSeconds: this.kiosk.idleSeconds });
+
+        document.body.classList.add('kiosk');
+        this.elements.openGalleryBtn.classList.add('hidden');
+        // Photos leave a shared tablet via the QR code, not by saving to it
+        this.elements.savePhotoBtn.classList.add('hidden');
+        this.elements.sharePhotoBtn.classList.add('hidden');
+
+        // Any interaction on the results screen restarts the idle countdown
+        ['pointerdown', 'keydown'].forEach(type => {
+            document.addEventListener(type, () => {
+                if (!this.elements.resultsScreen.classList.contains('hidden')) {
+                    this.startKioskIdleTimer();
+                }
+            }, { passive: true });
+        });
 
-        // Use the current pose video if it's playing, otherwise use the idle video
-        const videoToCapture = this.state.currentPoseVideo || characterOverlay;
+        // Long-press the hidden hotspot to open the operator menu
+        const hotspot = this.elements.operatorHotspot;
+        let pressTimer = null;
+        const cancelPress = () => clearTimeout(pressTimer);
 
-        console.log('🎬 CAPTURE DEBUG:', {
-            currentPoseVideo: this.state.currentPoseVideo,
-            characterOverlay: characterOverlay,
-            videoToCapture: videoToCapture,
-            videoSrc: videoToCapture ? videoToCapture.currentSrc : 'none',
-            readyState: videoToCapture ? videoToCapture.readyState : 'none'
+        hotspot.classList.remove('hidden');
+        hotspot.addEventListener('pointerdown', () => {
+            cancelPress();
+            pressTimer = setTimeout(() => this.openOperatorMenu(), 2000);
         });
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => hotspot.addEventListener(type, cancelPress));
 
-        if (videoToCapture && videoToCapture.readyState >= 2) {
-            try {
-                const overlayAspect = videoToCapture.videoWidth / videoToCapture.videoHeight;
-                let overlayDrawWidth, overlayDrawHeight, overlayDrawX, overlayDrawY;
-
-                if (overlayAspect > canvasAspect) {
-                    // Overlay is wider - scale to fit width
-                    overlayDrawWidth = targetWidth;
-                    overlayDrawHeight = targetWidth / overlayAspect;
-                    overlayDrawX = 0;
-                    overlayDrawY = (targetHeight - overlayDrawHeight) / 2;
-                } else {
-                    // Overlay is taller - scale to fit height
-                    overlayDrawHeight = targetHeight;
-                    overlayDrawWidth = targetHeight * overlayAspect;
-                    overlayDrawX = (targetWidth - overlayDrawWidth) / 2;
-                    overlayDrawY = 0;
-                }
+        this.elements.operatorPinForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.unlockOperatorMenu();
+        });
+        this.elements.operatorActions.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (button) this.runOperatorAction(button.dataset.action);
+        });
+        this.elements.operatorCloseBtn.addEventListener('click', () => this.closeOperatorMenu());
+    }
 
-                console.log('📏 Video overlay drawing with object-fit: contain behavior:', {
-                    videoType: this.state.currentPoseVideo ? 'pose' : 'idle',
-                    overlaySize: `${videoToCapture.videoWidth}x${videoToCapture.videoHeight}`,
-                    drawSize: `${overlayDrawWidth}x${overlayDrawHeight}`,
-                    drawPos: `${overlayDrawX},${overlayDrawY}`
-                });
+    /**
+     * Return to the camera after the results screen has been idle for a while
+     */
+    startKioskIdleTimer() {
+        this.stopKioskIdleTimer();
+        this.state.kioskIdleTimer = setTimeout(() => {
+            console.log('⏰ Kiosk idle timeout - returning to camera');
+            // The next guest starts with a single shuffling character back in the middle
+            this.resetCharacters();
+            this.takeAnother();
+        }, this.kiosk.idleSeconds * 1000);
+    }
 
-                ctx.drawImage(videoToCapture, overlayDrawX, overlayDrawY, overlayDrawWidth, overlayDrawHeight);
-                console.log('✅ Video overlay captured:', this.state.currentPoseVideo ? 'pose video' : 'idle video');
-            } catch (error) {
-                console.warn('Video overlay capture failed:', error);
-            }
+    /**
+     * Cancel the kiosk idle countdown
+     */
+    stopKioskIdleTimer() {
+        clearTimeout(this.state.kioskIdleTimer);
+        this.state.kioskIdleTimer = null;
+    }
+
+    /**
+     * Show the photo's short link and a QR code on the results screen so guests (or friends)
+     * can pull the photo onto their own phone
+     */
+    showPhotoLinkQr(link) {
+        this.state.photoLink = link;
+
+        if (!link) {
+            this.elements.resultsQr.classList.add('hidden');
+            return;
         }
 
-        // Add frame and logos on top
-        this.drawCustomFrame(ctx, targetWidth, targetHeight);
+        this.elements.resultsLink.href = link;
+        this.elements.resultsLink.textContent = link.replace(/^https?:\/\//, '');
 
-        // Convert to image data
-        this.state.capturedImageData = canvas.toDataURL('image/jpeg', 0.9);
-        this.elements.capturedImage.src = this.state.capturedImageData;
+        try {
+            QRCode.renderToCanvas(link, this.elements.resultsQrCanvas, 140);
+            this.elements.resultsQr.classList.remove('hidden');
+        } catch (error) {
+            console.warn('⚠️ Failed to render photo QR code:', error);
+            this.elements.resultsQr.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Open the operator menu at the PIN prompt
+     */
+    openOperatorMenu() {
+        this.elements.operatorPinInput.value = '';
+        this.elements.operatorPinError.classList.add('hidden');
+        this.elements.operatorActions.classList.add('hidden');
+        this.elements.operatorPinForm.classList.remove('hidden');
+        this.elements.operatorMenu.classList.remove('hidden');
+        this.elements.operatorPinInput.focus();
+    }
 
-        console.log('✅ Final capture complete - matches screen view');
+    /**
+     * Check the PIN and reveal operator actions
+     */
+    unlockOperatorMenu() {
+        if (this.elements.operatorPinInput.value !== this.kiosk.pin) {
+            this.elements.operatorPinError.classList.remove('hidden');
+            this.elements.operatorPinInput.value = '';
+            return;
+        }
 
-        // Share functionality removed - using press and hold instead
+        this.elements.operatorPinForm.classList.add('hidden');
+        this.elements.operatorActions.classList.remove('hidden');
+        this.renderOperatorActions();
     }
 
     /**
-     * Draw custom frame with white border, logo, and QR code around camera area
+     * Refresh operator action labels with the current settings
      */
-    drawCustomFrame(ctx, canvasWidth, canvasHeight) {
-        // Always draw frame at full canvas size for captured photo (100% scale)
-        const frameWidth = canvasWidth;
-        const frameHeight = canvasHeight;
-        const frameX = 0;
-        const frameY = 0;
-
-        // Draw white border around full canvas area (scaled thickness)
-        const borderThickness = Math.max(frameWidth * 0.01, 10); // 1% of width or min 10px
-        ctx.strokeStyle = 'white';
-        ctx.lineWidth = borderThickness;
-        const inset = borderThickness / 2;
-        ctx.strokeRect(frameX + inset, frameY + inset, frameWidth - borderThickness, frameHeight - borderThickness);
-
-        console.log('✅ Frame border drawn with thickness:', borderThickness);
-
-        // Draw logo at top left of frame (10% spacing from frame border) - bigger for capture
-        const logo = this.elements.logo;
-        if (logo && logo.complete && logo.naturalWidth > 0) {
-            try {
-                const logoSize = frameWidth * 0.2; // 20% of frame width (much bigger)
-                const logoX = frameX + (frameWidth * 0.05); // 5% from frame left
-                const logoY = frameY + (frameHeight * 0.05); // 5% from frame top
-                const logoHeight = (logo.naturalHeight / logo.naturalWidth) * logoSize;
+    renderOperatorActions() {
+        const actions = this.elements.operatorActions;
+        const seconds = this.state.countdownSeconds;
+        actions.querySelector('[data-action="countdown"]').textContent =
+            `Countdown: ${seconds > 0 ? `${seconds}s` : 'Off'}`;
+        actions.querySelector('[data-action="mode"]').textContent =
+            `Capture mode: ${this.getCaptureMode().label}`;
+    }
 
-                ctx.drawImage(logo, logoX, logoY, logoSize, logoHeight);
-                console.log('✅ Logo drawn at size:', logoSize);
-            } catch (error) {
-                console.warn('Failed to draw logo:', error);
+    /**
+     * Perform an operator menu action
+     */
+    runOperatorAction(action) {
+        switch (action) {
+            case 'countdown':
+                this.cycleCountdownMode();
+                break;
+            case 'mode':
+                this.cycleCaptureMode();
+                break;
+            case 'flip':
+                this.closeOperatorMenu();
+                this.flipCamera();
+                return;
+            case 'diagnostics':
+                this.closeOperatorMenu();
+                this.openDiagnostics();
+                return;
+            case 'reload':
+                window.location.reload();
+                return;
+            case 'exit': {
+                const params = new URLSearchParams(window.location.search);
+                // kiosk=0 also overrides kiosk mode switched on in config.json
+                params.set('kiosk', '0');
+                const query = params.toString();
+                window.location.href = `${window.location.pathname}${query ? `?${query}` : ''}`;
+                return;
             }
         }
 
-        // Draw QR code at bottom right of frame - bigger for capture
-        const qrcode = this.elements.qrcode;
-        if (qrcode && qrcode.complete && qrcode.naturalWidth > 0) {
-            try {
-                const qrSize = frameWidth * 0.15; // 15% of frame width (much bigger)
-                const spacing = frameWidth * 0.03; // 3% spacing from edges
-                const qrX = frameX + frameWidth - qrSize - spacing;
-                const qrY = frameY + frameHeight - qrSize - spacing;
+        this.renderOperatorActions();
+    }
 
-                ctx.drawImage(qrcode, qrX, qrY, qrSize, qrSize);
-                console.log('✅ QR code drawn at size:', qrSize);
-            } catch (error) {
-                console.warn('Failed to draw QR code:', error);
+    /**
+     * Close (and lock) the operator menu
+     */
+    closeOperatorMenu() {
+        this.elements.operatorMenu.classList.add('hidden');
+        this.elements.operatorActions.classList.add('hidden');
+        this.elements.operatorPinInput.value = '';
+    }
+
+    /**
+     * Per-tab session id so the gallery shows this guest's photos only
+     */
+    getSessionId() {
+        try {
+            let sessionId = sessionStorage.getItem('photobooth.sessionId');
+            if (!sessionId) {
+                sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+                sessionStorage.setItem('photobooth.sessionId', sessionId);
+            }
+            return sessionId;
+        } catch (error) {
+            return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        }
+    }
+
+    /**
+     * Drop old photos from previous days and show the current session count
+     */
+    async initGallery() {
+        try {
+            const removed = await this.photoStore.prune(this.galleryMaxAge);
+            if (removed > 0) {
+                console.log(`🗑️ Pruned ${removed} old gallery photo(s)`);
             }
+            await this.updateGalleryCount();
+        } catch (error) {
+            console.warn('⚠️ Photo gallery unavailable:', error);
+            this.elements.openGalleryBtn.classList.add('hidden');
         }
     }
 
     /**
-     * Download captured photo
+     * Keep the current capture: save it to the gallery and hand it to the uploader
      */
-    downloadPhoto() {
-        if (!this.state.capturedImageData) return;
+    async storeCapture() {
+        const source = this.state.capturedImageUrl || this.state.capturedVideoUrl;
+        const blob = this.state.capturedBlob;
+        if (!source || !blob) return;
 
-        const link = document.createElement('a');
-        link.download = `photo-booth-${Date.now()}.jpg`;
-        link.href = this.state.capturedImageData;
+        this.saveToGallery(blob);
+        this.uploadCapture(blob, source);
+    }
+
+    /**
+     * Store a capture in the session gallery
+     */
+    async saveToGallery(blob) {
+        try {
+            const id = await this.photoStore.add({
+                blob,
+                type: blob.type,
+                createdAt: Date.now(),
+                sessionId: this.sessionId,
+                poseIds: this.state.capturedPoseIds,
+                camera: this.state.currentCamera,
+                mode: this.state.captureMode
+            });
 
-        // For iOS Safari, open in new tab since download might not work
-        if (/iPad|iPhone|iPod/.test(navigator.userAgent)) {
-            link.target = '_blank';
-            alert('Tap and hold the image to save it to your photos.');
+            console.log('🖼️ Saved to gallery:', { id, type: blob.type, size: blob.size });
+            await this.updateGalleryCount();
+        } catch (error) {
+            console.warn('⚠️ Failed to save photo to gallery:', error);
         }
+    }
 
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    /**
+     * Create the uploader when an upload endpoint is configured
+     */
+    createUploader() {
+        const endpoint = this.getUploadEndpoint();
+        if (!endpoint) return null;
+
+        const uploader = new PhotoUploader(endpoint, { eventId: this.config.event.id });
+        console.log('📤 Uploads enabled:', { endpoint, eventId: uploader.eventId });
+
+        // Send anything left over from an earlier (offline) session
+        uploader.flush();
+        return uploader;
     }
 
     /**
-     * Share captured photo using Web Share API
+     * The configured upload endpoint as an absolute http(s) URL, or null when unset or invalid
      */
-    async sharePhoto() {
-        if (!this.state.capturedImageData || !navigator.share) return;
+    getUploadEndpoint() {
+        const endpoint = this.config.upload.endpoint;
+        if (!endpoint) return null;
 
+        let url = null;
         try {
-            // Convert data URL to blob
-            const response = await fetch(this.state.capturedImageData);
-            const blob = await response.blob();
+            url = new URL(endpoint, document.baseURI);
+        } catch (error) {
+            url = null;
+        }
+        if (url && (url.protocol === 'https:' || url.protocol === 'http:')) return url.href;
+
+        console.warn('⚠️ Ignoring invalid upload endpoint:', endpoint);
+        return null;
+    }
 
-            const file = new File([blob], 'photo-booth.jpg', { type: 'image/jpeg' });
+    /**
+     * Queue a capture for upload; once it's on the server, show its link while it's still on screen
+     */
+    async uploadCapture(blob, source) {
+        if (!this.uploader) return;
 
-            await navigator.share({
-                title: 'Photo Booth Picture',
-                text: 'Check out my photo booth picture!',
-                files: [file]
+        try {
+            const result = await this.uploader.enqueue(blob, {
+                poseId: this.state.capturedPoseIds.join(','),
+                camera: this.state.currentCamera,
+                timestamp: new Date().toISOString(),
+                mode: this.state.captureMode,
+                sessionId: this.sessionId
             });
+
+            const current = this.state.capturedImageUrl || this.state.capturedVideoUrl;
+            const link = result && (result.shortUrl || result.url);
+            if (link && current === source) {
+                this.showPhotoLinkQr(link);
+            }
         } catch (error) {
-            console.error('Share failed:', error);
-            // Fallback to download
-            this.downloadPhoto();
+            console.warn('⚠️ Failed to queue upload:', error);
+        }
+    }
+
+    /**
+     * Show the number of photos taken this session on the gallery button
+     */
+    async updateGalleryCount() {
+        const photos = await this.photoStore.getSession(this.sessionId);
+        const count = this.elements.galleryCount;
+        count.textContent = photos.length;
+        count.classList.toggle('hidden', photos.length === 0);
+    }
+
+    /**
+     * Open the gallery screen with this session's photos
+     */
+    async openGallery() {
+        if (this.state.isCapturing) return;
+
+        this.cancelCountdown();
+        this.showScreen('gallery');
+        await this.renderGallery();
+    }
+
+    /**
+     * Return from the gallery to the camera
+     */
+    closeGallery() {
+        this.closeGalleryPhoto();
+        this.releaseGalleryUrls();
+        this.elements.galleryGrid.innerHTML = '';
+        this.showScreen('camera');
+    }
+
+    /**
+     * Build the thumbnail grid, newest first
+     */
+    async renderGallery() {
+        const grid = this.elements.galleryGrid;
+        this.releaseGalleryUrls();
+        grid.innerHTML = '';
+
+        let photos = [];
+        try {
+            photos = await this.photoStore.getSession(this.sessionId);
+        } catch (error) {
+            console.warn('⚠️ Failed to read gallery:', error);
+        }
+
+        this.elements.galleryEmpty.classList.toggle('hidden', photos.length > 0);
+
+        photos.forEach(photo => {
+            const item = document.createElement('button');
+            item.className = 'gallery-item';
+            item.appendChild(this.createGalleryMedia(photo, true));
+            item.addEventListener('click', () => this.openGalleryPhoto(photo));
+            grid.appendChild(item);
+        });
+    }
+
+    /**
+     * <img> or <video> for a stored photo, backed by an object URL released when the gallery closes
+     */
+    createGalleryMedia(photo, thumbnail) {
+        const url = URL.createObjectURL(photo.blob);
+        this.galleryUrls.push(url);
+
+        let media;
+        if (photo.type.startsWith('video/')) {
+            media = document.createElement('video');
+            media.muted = true;
+            media.playsInline = true;
+            media.loop = true;
+            media.autoplay = !thumbnail;
+        } else {
+            media = document.createElement('img');
+            media.alt = 'Saved photo';
+        }
+
+        media.src = url;
+        return media;
+    }
+
+    /**
+     * Show one photo full size with save/share/delete actions
+     */
+    openGalleryPhoto(photo) {
+        this.state.galleryPhoto = photo;
+
+        const container = this.elements.galleryViewerMedia;
+        container.innerHTML = '';
+        container.appendChild(this.createGalleryMedia(photo, false));
+
+        this.elements.galleryShareBtn.classList.toggle('hidden', !navigator.share);
+        this.elements.galleryViewer.classList.remove('hidden');
+    }
+
+    /**
+     * Close the single-photo viewer and return to the grid
+     */
+    closeGalleryPhoto() {
+        this.state.galleryPhoto = null;
+        this.elements.galleryViewer.classList.add('hidden');
+        this.elements.galleryViewerMedia.innerHTML = '';
+    }
+
+    /**
+     * Re-save the open gallery photo to the device
+     */
+    saveGalleryPhoto() {
+        const photo = this.state.galleryPhoto;
+        if (!photo) return;
+
+        const url = URL.createObjectURL(photo.blob);
+        this.galleryUrls.push(url);
+        this.savePhoto(url, this.getPhotoFilename(photo.type, photo.createdAt));
+    }
+
+    /**
+     * Share the open gallery photo via the Web Share API
+     */
+    async shareGalleryPhoto() {
+        const photo = this.state.galleryPhoto;
+        if (!photo) return;
+
+        const url = URL.createObjectURL(photo.blob);
+        this.galleryUrls.push(url);
+        await this.sharePhoto(url, this.getPhotoFilename(photo.type, photo.createdAt));
+    }
+
+    /**
+     * Delete the open gallery photo after confirmation
+     */
+    async deleteGalleryPhoto() {
+        const photo = this.state.galleryPhoto;
+        if (!photo || !confirm('Delete this photo?')) return;
+
+        try {
+            await this.photoStore.delete(photo.id);
+            console.log('🗑️ Deleted gallery photo:', photo.id);
+        } catch (error) {
+            console.warn('⚠️ Failed to delete gallery photo:', error);
         }
+
+        this.closeGalleryPhoto();
+        await this.renderGallery();
+        await this.updateGalleryCount();
+    }
+
+    /**
+     * Revoke object URLs created for gallery thumbnails and downloads
+     */
+    releaseGalleryUrls() {
+        this.galleryUrls.forEach(url => URL.revokeObjectURL(url));
+        this.galleryUrls = [];
     }
 
     /**
      * Take another photo (simplified flow)
      */
     async takeAnother() {
-        this.state.capturedImageData = null;
+        this.stopKioskIdleTimer();
+        this.showPhotoLinkQr(null);
+        this.releaseCapturedMedia();
+        this.updateLocation();
+
+        this.cancelCountdown();
 
         // Clean up any existing pose videos
         this.cleanupPoseVideos();
@@ -1389,8 +4816,8 @@ class PhotoBoothApp {
 
         this.showScreen('camera');
 
-        // Start a new random pose video
-        await this.playRandomPoseVideo();
+        // Back to the idle loop with new poses ready
+        await this.enterIdle();
     }
 
     /**
@@ -1401,6 +4828,7 @@ class PhotoBoothApp {
         this.elements.permissionScreen.classList.add('hidden');
         this.elements.cameraScreen.classList.add('hidden');
         this.elements.resultsScreen.classList.add('hidden');
+        this.elements.galleryScreen.classList.add('hidden');
 
         // Show requested screen
         switch (screen) {
@@ -1409,11 +4837,20 @@ class PhotoBoothApp {
                 break;
             case 'camera':
                 this.elements.cameraScreen.classList.remove('hidden');
+                this.renderFramePreview();
+                this.applyPreviewFilter();
+                this.startSegmentationPreview();
                 // Force video state check when camera screen is shown
                 setTimeout(() => this.ensureVideoVisibility(), 100);
                 break;
             case 'results':
                 this.elements.resultsScreen.classList.remove('hidden');
+                if (this.kiosk.enabled) {
+                    this.startKioskIdleTimer();
+                }
+                break;
+            case 'gallery':
+                this.elements.galleryScreen.classList.remove('hidden');
                 break;
         }
     }
@@ -1439,13 +4876,17 @@ class PhotoBoothApp {
     showDesktopMessage() {
         if (this.elements.desktopMessage) {
             this.elements.desktopMessage.classList.add('show');
-            
-            // Update URL with current local IP if available
+
+            // Show this page's address (and a QR code for it) so it can be opened on a phone
             const currentURL = window.location.href;
-            if (this.elements.mobileUrl && currentURL.includes('192.168.0.196:8443')) {
-                this.elements.mobileUrl.textContent = currentURL;
+            this.elements.mobileUrl.textContent = currentURL;
+            try {
+                QRCode.renderToCanvas(currentURL, this.elements.mobileQr, 180);
+                this.elements.mobileQr.classList.remove('hidden');
+            } catch (error) {
+                console.warn('⚠️ Failed to render page QR code:', error);
             }
-            
+
             console.log('🖥️ Desktop message displayed');
         }
     }
@@ -1466,7 +4907,7 @@ document.addEventListener('DOMContentLoaded', () => {
     new PhotoBoothApp();
 });
 
-// Service worker registration for offline capability (optional)
+// Service worker registration for offline capability (app shell + pose video precache)
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
         navigator.serviceWorker.register('/sw.js')
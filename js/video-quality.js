@@ -0,0 +1,127 @@
+/**
+ * Pose video quality selection
+ * Picks which rendition (480p / 720p / 1080p) of the pose videos to load. It starts from what the
+ * browser reports (Network Information API, device memory, CPU cores) and switches to measured
+ * download speed once pose videos have been downloaded. The device limit always applies, so low-end
+ * phones never decode 1080p alpha video however fast the Wi-Fi is.
+ */
+
+class VideoQualitySelector {
+    constructor({ levels = [480, 720, 1080], requiredMbps = { 480: 0, 720: 3, 1080: 8 } } = {}) {
+        this.levels = levels; // rendition heights, lowest first
+        this.requiredMbps = requiredMbps; // bandwidth needed to load each level without a long wait
+        this.measuredMbps = null;
+        this.samples = 0;
+    }
+
+    /**
+     * Highest level this device should play, from its memory (GB) and CPU cores where reported
+     */
+    get deviceLimit() {
+        const memory = navigator.deviceMemory;
+        const cores = navigator.hardwareConcurrency;
+        const top = this.levels.length - 1;
+
+        if ((memory && memory <= 2) || (cores && cores <= 2)) return this.levels[0];
+        if ((memory && memory <= 4) || (cores && cores <= 4)) return this.levels[Math.min(1, top)];
+        return this.levels[top];
+    }
+
+    /**
+     * Best bandwidth estimate in Mbps: measured downloads, then the Network Information API, else null
+     */
+    get estimatedMbps() {
+        if (this.measuredMbps !== null) return this.measuredMbps;
+
+        const connection = navigator.connection;
+        if (!connection) return null;
+        if (connection.saveData) return 0;
+        if (['slow-2g', '2g', '3g'].includes(connection.effectiveType)) {
+            return Math.min(connection.downlink || 0, 1);
+        }
+        return typeof connection.downlink === 'number' ? connection.downlink : null;
+    }
+
+    /**
+     * Level to load now. Without any bandwidth information (Safari, Firefox before the first
+     * download) the middle level is used.
+     */
+    get level() {
+        const mbps = this.estimatedMbps;
+        const byBandwidth = mbps === null
+            ? this.levels[Math.min(1, this.levels.length - 1)]
+            : [...this.levels].reverse().find(level => mbps >= (this.requiredMbps[level] || 0)) || this.levels[0];
+
+        return Math.min(byBandwidth, this.deviceLimit);
+    }
+
+    /**
+     * Record a completed download. Tiny or near-instant transfers say nothing about the network.
+     */
+    recordDownload(bytes, ms) {
+        if (bytes < 100 * 1024 || ms < 50) return;
+
+        const mbps = (bytes * 8) / (ms * 1000);
+        // Weighted towards recent downloads, since venue Wi-Fi changes as the room fills up
+        this.measuredMbps = this.samples === 0 ? mbps : this.measuredMbps * 0.6 + mbps * 0.4;
+        this.samples++;
+
+        console.log(`📶 Video download: ${Math.round(bytes / 1024)}KB in ${Math.round(ms)}ms (${mbps.toFixed(1)} Mbps, estimate ${this.measuredMbps.toFixed(1)} Mbps → ${this.level}p)`);
+    }
+
+    /**
+     * Measure a download the browser makes itself (a <video> element loading its src) from Resource
+     * Timing, so the file isn't fetched a second time just to time it. Returns a function that stops
+     * watching; browsers that never report the entry stop being watched after two minutes.
+     */
+    watchResource(url) {
+        if (typeof PerformanceObserver === 'undefined') return () => {};
+
+        const href = new URL(url, document.baseURI).href;
+        const observer = new PerformanceObserver((list) => {
+            const entry = list.getEntriesByName(href).find(item => item.encodedBodySize > 0);
+            if (!entry) return;
+
+            stop();
+            this.recordDownload(entry.encodedBodySize, entry.responseEnd - entry.startTime);
+        });
+        const stop = () => {
+            clearTimeout(timer);
+            observer.disconnect();
+        };
+        const timer = setTimeout(stop, 120000);
+
+        observer.observe({ type: 'resource' });
+        return stop;
+    }
+
+    /**
+     * Pick from a pose's renditions ([{ height, src }], lowest first): the best one at or below
+     * `level`, otherwise the lowest. A rendition without a height (single-file pose) always fits.
+     */
+    pick(renditions, level = this.level) {
+        const fitting = renditions.filter(rendition => !rendition.height || rendition.height <= level);
+        return fitting.length > 0 ? fitting[fitting.length - 1] : renditions[0];
+    }
+
+    /**
+     * Current inputs and decision, for diagnostics
+     */
+    describe() {
+        const connection = navigator.connection;
+
+        return {
+            level: this.level,
+            deviceLimit: this.deviceLimit,
+            measuredMbps: this.measuredMbps !== null ? Math.round(this.measuredMbps * 10) / 10 : null,
+            samples: this.samples,
+            connection: connection ? {
+                effectiveType: connection.effectiveType,
+                downlink: connection.downlink,
+                saveData: connection.saveData
+            } : null,
+            deviceMemory: navigator.deviceMemory || null,
+            cores: navigator.hardwareConcurrency || null
+        };
+    }
+}
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Put the person segmentation files where the booth serves them from (see config.json `segmentation`)
+ * Copies the MediaPipe Tasks bundle and its wasm/ directory out of node_modules into vendor/mediapipe/
+ * and downloads the selfie segmenter model (not published on npm) into models/. Run `npm install`
+ * first; `npm run vendor` runs this, and `npm run build` does the same for static hosts.
+ * An existing model is kept unless --force is given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PACKAGE_DIR = path.join(ROOT, 'node_modules', '@mediapipe', 'tasks-vision');
+const VENDOR_DIR = path.join(ROOT, 'vendor', 'mediapipe');
+const MODEL_FILE = path.join(ROOT, 'models', 'selfie_segmenter.tflite');
+const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_segmenter/float16/latest/selfie_segmenter.tflite';
+
+async function main() {
+    if (!fs.existsSync(PACKAGE_DIR)) {
+        throw new Error('@mediapipe/tasks-vision is not installed - run `npm install` first');
+    }
+
+    const { version } = JSON.parse(fs.readFileSync(path.join(PACKAGE_DIR, 'package.json'), 'utf8'));
+
+    // Replace the whole directory so files from an older version don't linger
+    fs.rmSync(VENDOR_DIR, { recursive: true, force: true });
+    fs.mkdirSync(VENDOR_DIR, { recursive: true });
+    fs.copyFileSync(path.join(PACKAGE_DIR, 'vision_bundle.mjs'), path.join(VENDOR_DIR, 'vision_bundle.mjs'));
+    fs.cpSync(path.join(PACKAGE_DIR, 'wasm'), path.join(VENDOR_DIR, 'wasm'), { recursive: true });
+    console.log(`📦 Copied @mediapipe/tasks-vision ${version} to ${path.relative(ROOT, VENDOR_DIR)}/`);
+
+    if (fs.existsSync(MODEL_FILE) && !process.argv.includes('--force')) {
+        console.log(`✅ Keeping existing ${path.relative(ROOT, MODEL_FILE)}`);
+        return;
+    }
+
+    const response = await fetch(MODEL_URL);
+    if (!response.ok) {
+        throw new Error(`Model download failed: HTTP ${response.status} ${response.statusText}`);
+    }
+
+    const model = Buffer.from(await response.arrayBuffer());
+    fs.mkdirSync(path.dirname(MODEL_FILE), { recursive: true });
+    fs.writeFileSync(MODEL_FILE, model);
+    console.log(`🧍 Downloaded ${path.relative(ROOT, MODEL_FILE)} (${Math.round(model.length / 1024)} KB)`);
+}
+
+main().catch((error) => {
+    console.error('❌ Vendoring MediaPipe failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * Reference upload server for local testing
+ * Accepts the booth's multipart uploads on POST /upload and writes each photo plus a JSON
+ * metadata sidecar to uploads/<event id>/. Uploaded files are served back from /uploads/ and
+ * through short links (/p/<code>) that the booth shows as a QR code.
+ * No dependencies - run with `node server/upload-server.js` (PORT, UPLOAD_DIR and PUBLIC_URL,
+ * the address phones should use to reach this server, are optional).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+const SHORT_CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Short code -> "<event id>/<file>", rebuilt from the metadata sidecars on start
+const shortLinks = loadShortLinks();
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm'
+};
+
+const server = http.createServer(async (req, res) => {
+    // The booth is usually served from another origin (or port)
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    try {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204).end();
+        } else if (req.method === 'POST' && url.pathname === '/upload') {
+            await handleUpload(req, res);
+        } else if (req.method === 'GET' && url.pathname.startsWith('/uploads/')) {
+            serveUpload(url.pathname, res);
+        } else if (req.method === 'GET' && url.pathname.startsWith('/p/')) {
+            redirectShortLink(url.pathname.slice(3), req, res);
+        } else {
+            sendJson(res, 404, { error: 'Not found' });
+        }
+    } catch (error) {
+        if (error.status) {
+            console.warn(`⚠️ Rejected ${req.method} ${url.pathname}: ${error.message}`);
+        } else {
+            console.error('❌ Request failed:', error);
+        }
+        sendJson(res, error.status || 500, { error: error.message });
+    }
+});
+
+/**
+ * Save one multipart upload (a `photo` file plus metadata fields)
+ */
+async function handleUpload(req, res) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(req.headers['content-type'] || '');
+    if (!match) {
+        throw httpError(400, 'Expected multipart/form-data');
+    }
+
+    const body = await readBody(req);
+    const { fields, files } = parseMultipart(body, match[1] || match[2]);
+    const photo = files.photo;
+
+    if (!photo || photo.data.length === 0) {
+        throw httpError(400, 'Missing photo');
+    }
+
+    const extension = EXTENSIONS[photo.type];
+    if (!extension) {
+        throw httpError(415, `Unsupported type ${photo.type}`);
+    }
+
+    const eventId = safeName(fields.eventId) || 'default';
+    const stamp = (fields.timestamp || new Date().toISOString()).replace(/[:.]/g, '-');
+    const id = `${safeName(stamp)}-${crypto.randomBytes(4).toString('hex')}`;
+    const directory = path.join(UPLOAD_DIR, eventId);
+    const code = createShortCode();
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(path.join(directory, `${id}.${extension}`), photo.data);
+    await fs.promises.writeFile(path.join(directory, `${id}.json`), JSON.stringify({
+        ...fields,
+        id,
+        code,
+        file: `${id}.${extension}`,
+        type: photo.type,
+        size: photo.data.length,
+        receivedAt: new Date().toISOString()
+    }, null, 2));
+
+    shortLinks.set(code, `${eventId}/${id}.${extension}`);
+
+    const baseUrl = getBaseUrl(req);
+    console.log(`📥 Saved ${eventId}/${id}.${extension} (${photo.data.length} bytes, pose ${fields.poseId || '-'})`);
+    sendJson(res, 201, {
+        id,
+        url: `${baseUrl}/uploads/${eventId}/${id}.${extension}`,
+        shortUrl: `${baseUrl}/p/${code}`
+    });
+}
+
+/**
+ * Send a short link on to the uploaded file
+ */
+function redirectShortLink(code, req, res) {
+    const file = shortLinks.get(code);
+    if (!file) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    res.writeHead(302, { Location: `${getBaseUrl(req)}/uploads/${file}` });
+    res.end();
+}
+
+/**
+ * Unused random short code (7 characters, no look-alike letters)
+ */
+function createShortCode() {
+    let code;
+    do {
+        code = Array.from(crypto.randomBytes(7), byte => SHORT_CODE_ALPHABET[byte % SHORT_CODE_ALPHABET.length]).join('');
+    } while (shortLinks.has(code));
+    return code;
+}
+
+/**
+ * Read the short codes of earlier uploads back from their metadata sidecars
+ */
+function loadShortLinks() {
+    const links = new Map();
+    if (!fs.existsSync(UPLOAD_DIR)) return links;
+
+    for (const eventId of fs.readdirSync(UPLOAD_DIR)) {
+        const directory = path.join(UPLOAD_DIR, eventId);
+        if (!fs.statSync(directory).isDirectory()) continue;
+
+        for (const name of fs.readdirSync(directory).filter(file => file.endsWith('.json'))) {
+            try {
+                const metadata = JSON.parse(fs.readFileSync(path.join(directory, name), 'utf8'));
+                if (metadata.code) links.set(metadata.code, `${eventId}/${metadata.file}`);
+            } catch (error) {
+                console.warn(`⚠️ Skipping unreadable metadata ${eventId}/${name}`);
+            }
+        }
+    }
+
+    return links;
+}
+
+function getBaseUrl(req) {
+    return PUBLIC_URL || `http://${req.headers.host}`;
+}
+
+/**
+ * Serve a previously uploaded file
+ */
+function serveUpload(pathname, res) {
+    let name;
+    try {
+        name = decodeURIComponent(pathname.slice('/uploads/'.length));
+    } catch (error) {
+        // Malformed percent-encoding can't name an upload
+        sendJson(res, 400, { error: 'Bad request' });
+        return;
+    }
+
+    const file = path.join(UPLOAD_DIR, name);
+    const extension = path.extname(file).slice(1);
+    // Only photos and videos; the .json sidecars hold guest details and stay private
+    const type = Object.keys(EXTENSIONS).find(key => EXTENSIONS[key] === extension);
+
+    // Don't allow paths outside the upload directory
+    if (!type || !file.startsWith(UPLOAD_DIR + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': type });
+    fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * Read the request body, refusing anything over MAX_UPLOAD_BYTES. A refused body is still read to
+ * the end (and discarded) before the 413 goes out: answering or closing the connection mid-upload
+ * makes clients see a reset instead of the response.
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        // Declared too large up front, or found to be while reading
+        let tooLarge = Number(req.headers['content-length']) > MAX_UPLOAD_BYTES;
+
+        req.on('data', chunk => {
+            if (tooLarge) return;
+
+            size += chunk.length;
+            if (size > MAX_UPLOAD_BYTES) {
+                tooLarge = true;
+                chunks.length = 0;
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (tooLarge) {
+                reject(httpError(413, 'Upload too large'));
+            } else {
+                resolve(Buffer.concat(chunks));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Minimal multipart/form-data parser: text fields and file parts
+ */
+function parseMultipart(body, boundary) {
+    const delimiter = Buffer.from(`--${boundary}`);
+    const fields = {};
+    const files = {};
+
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const partStart = start + delimiter.length;
+
+        // "--" after the delimiter marks the end of the body
+        if (body.slice(partStart, partStart + 2).toString() === '--') break;
+
+        const end = body.indexOf(delimiter, partStart);
+        if (end === -1) break;
+
+        // Each part: CRLF, headers, blank line, content, CRLF
+        const part = body.slice(partStart + 2, end - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+
+        if (headerEnd !== -1) {
+            const headers = part.slice(0, headerEnd).toString();
+            const data = part.slice(headerEnd + 4);
+            const name = /;\s*name="([^"]*)"/i.exec(headers);
+            const filename = /filename="([^"]*)"/i.exec(headers);
+            const type = /content-type:\s*([^\r\n;]+)/i.exec(headers);
+
+            if (name && filename) {
+                files[name[1]] = { filename: filename[1], type: type ? type[1].trim() : 'application/octet-stream', data };
+            } else if (name) {
+                fields[name[1]] = data.toString();
+            }
+        }
+
+        start = end;
+    }
+
+    return { fields, files };
+}
+
+function safeName(value) {
+    return String(value || '').replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 64);
+}
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function sendJson(res, status, data) {
+    if (res.headersSent) return;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+server.listen(PORT, () => {
+    console.log(`📤 Upload server listening on http://localhost:${PORT}/upload`);
+    console.log(`📁 Saving uploads to ${UPLOAD_DIR} (${shortLinks.size} existing short links)`);
+});
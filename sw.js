@@ -1,4 +1,267 @@
-// Empty service worker to prevent 404 error
-// Add service worker functionality here if needed in the future
+/**
+ * Photo Booth service worker
+ * Precaches the app shell on install and the pose videos for the device's platform on request
+ * from the page, then serves them cache-first so the booth keeps working on bad venue Wi-Fi.
+ * Bump CACHE_VERSION whenever a shell asset changes; old caches are removed on activation.
+ */
 
-console.log('Service Worker loaded (currently empty)');
\ No newline at end of file
+const CACHE_VERSION = 'v28';
+const SHELL_CACHE = `photobooth-shell-${CACHE_VERSION}`;
+const MEDIA_CACHE = `photobooth-media-${CACHE_VERSION}`;
+
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    'config.json',
+    'css/style.css',
+    'js/script.js',
+    'js/gif-encoder.js',
+    'js/photo-filters.js',
+    'js/photo-store.js',
+    'js/photo-uploader.js',
+    'js/qr-code.js',
+    'js/person-segmenter.js',
+    'js/capture-compositor.js',
+    'js/capture-worker.js',
+    'js/photo-metadata.js',
+    'js/video-quality.js',
+    'images/bg.png',
+    'images/logo.png',
+    'images/frame.png',
+    'images/fallback.png',
+    'images/ui-flip.svg',
+    'images/ui-capture.svg',
+    'templates/default.json',
+    'templates/branded.json',
+    'videos/poses.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_ASSETS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, MEDIA_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('photobooth-') && !currentCaches.includes(key))
+                .map(key => {
+                    console.log('🗑️ SW removing old cache:', key);
+                    return caches.delete(key);
+                })))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'PRECACHE_VIDEOS') {
+        event.waitUntil(precacheVideos(message.urls || [], event.source));
+    } else if (message.type === 'EVICT_VIDEOS') {
+        event.waitUntil(evictVideos(message.urls || []));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Only handle our own GET requests; fonts and other origins go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.pathname.endsWith('.json')) {
+        event.respondWith(networkFirst(request));
+    } else if (isVideo(url)) {
+        event.respondWith(handleVideo(request, event));
+    } else {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Cache each pose video in turn, reporting progress back to the page
+ */
+async function precacheVideos(urls, client) {
+    const cache = await caches.open(MEDIA_CACHE);
+    const status = { type: 'PRECACHE_STATUS', total: urls.length, cached: 0, failed: 0 };
+
+    const report = () => {
+        if (client) client.postMessage({ ...status });
+    };
+
+    report();
+
+    for (const url of urls) {
+        try {
+            if (!(await cache.match(url))) {
+                const response = await fetch(url, { cache: 'reload' });
+                if (!response.ok || response.status !== 200) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                await cache.put(url, response);
+            }
+            status.cached++;
+        } catch (error) {
+            console.warn('⚠️ SW failed to precache video:', url, error);
+            status.failed++;
+        }
+        report();
+    }
+}
+
+/**
+ * Drop videos the page no longer uses (renditions replaced by a quality upgrade)
+ */
+async function evictVideos(urls) {
+    const cache = await caches.open(MEDIA_CACHE);
+
+    for (const url of urls) {
+        if (await cache.delete(url, { ignoreSearch: true })) {
+            console.log('🗑️ SW removed replaced video:', url);
+        }
+    }
+}
+
+/**
+ * App pages: cached index.html regardless of query string (event/kiosk URL parameters)
+ * Other pages in scope (e.g. /uploads/ files) are never stored as index.html
+ */
+async function handleNavigation(request) {
+    const { pathname } = new URL(request.url);
+    const isApp = pathname.endsWith('/') || pathname.endsWith('/index.html');
+
+    try {
+        const response = await fetch(request);
+        if (isApp && response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            cache.put('index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = isApp
+            ? await caches.match('index.html', { ignoreSearch: true })
+            : await caches.match(request);
+        return cached || Response.error();
+    }
+}
+
+/**
+ * Manifests and templates change between events, so prefer the network and fall back to the cache
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        return cached || Response.error();
+    }
+}
+
+/**
+ * Serve from cache, falling back to the network (and caching successful responses)
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok && response.status === 200) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Videos: cache the whole file, then answer Range requests from it (Safari always sends them).
+ * Full-file requests (the app's own pose downloads) are streamed while they're cached, so the page
+ * sees progress and can measure the download.
+ */
+async function handleVideo(request, event) {
+    const cache = await caches.open(MEDIA_CACHE);
+    const range = request.headers.get('range');
+    let response = await cache.match(request.url, { ignoreSearch: true });
+
+    if (!response) {
+        // Fetch the full file (no Range header) so it can be cached and sliced
+        try {
+            response = await fetch(request.url);
+        } catch (error) {
+            return Response.error();
+        }
+
+        if (!response.ok || response.status !== 200) {
+            return response;
+        }
+
+        const stored = cache.put(request.url, response.clone());
+        if (!range) {
+            event.waitUntil(stored);
+            return response;
+        }
+        await stored;
+    }
+
+    return range ? createRangeResponse(response, range) : response;
+}
+
+/**
+ * Build a 206 Partial Content response for a "bytes=start-end" Range header
+ */
+async function createRangeResponse(response, rangeHeader) {
+    const blob = await response.blob();
+    const size = blob.size;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+
+    let start = NaN;
+    let end = NaN;
+
+    if (match) {
+        if (match[1] === '') {
+            // Suffix range: last N bytes
+            start = size - Number(match[2]);
+            end = size - 1;
+        } else {
+            start = Number(match[1]);
+            end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+        }
+    }
+
+    if (isNaN(start) || isNaN(end) || start < 0 || start > end || start >= size) {
+        return new Response(null, {
+            status: 416,
+            statusText: 'Range Not Satisfiable',
+            headers: { 'Content-Range': `bytes */${size}` }
+        });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || blob.type,
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+function isVideo(url) {
+    return /\.(mov|mp4|webm)$/i.test(url.pathname);
+}
@@ -0,0 +1,118 @@
+/**
+ * PhotoMetadata against a real JPEG, read back with exifr
+ * js/photo-metadata.js is a browser script (no module exports), so it is evaluated as one here.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const exifr = require('exifr');
+
+const PhotoMetadata = vm.runInThisContext(
+    fs.readFileSync(path.join(__dirname, '../js/photo-metadata.js'), 'utf8') + '\n;PhotoMetadata'
+);
+
+// 64x48 baseline JPEG with a JFIF header, like canvas encoders produce
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures/capture.jpg'));
+
+const fields = {
+    date: new Date(2026, 4, 17, 14, 30, 5),
+    software: 'Photo Booth',
+    artist: 'Acme Events',
+    copyright: '© 2026 Acme Events',
+    credit: 'Photo: Acme Events',
+    eventName: 'Launch Night',
+    poseIds: ['pose2', 'pose4'],
+    hashtag: '#LaunchNight',
+    location: { latitude: 51.5007, longitude: -0.1246, altitude: 12.5 }
+};
+
+async function embed(overrides = {}) {
+    const blob = await PhotoMetadata.embed(new Blob([fixture], { type: 'image/jpeg' }), { ...fields, ...overrides });
+    return Buffer.from(await blob.arrayBuffer());
+}
+
+function parse(buffer) {
+    return exifr.parse(buffer, { tiff: true, exif: true, gps: true, xmp: true, mergeOutput: false, translateValues: false, reviveValues: false });
+}
+
+test('writes date taken, orientation and software to EXIF', async () => {
+    const { ifd0, exif } = await parse(await embed());
+
+    assert.equal(exif.DateTimeOriginal, '2026:05:17 14:30:05');
+    assert.equal(exif.CreateDate, '2026:05:17 14:30:05');
+    assert.equal(exif.OffsetTimeOriginal, PhotoMetadata.formatTimezone(fields.date));
+    assert.equal(ifd0.ModifyDate, '2026:05:17 14:30:05');
+    assert.equal(ifd0.Orientation, 1);
+    assert.equal(ifd0.Software, 'Photo Booth');
+    assert.equal(ifd0.Artist, 'Acme Events');
+    // EXIF text is ASCII; the copyright sign is spelled out
+    assert.equal(ifd0.Copyright, '(C) 2026 Acme Events');
+});
+
+test('writes the GPS IFD when there is a location', async () => {
+    const buffer = await embed();
+    const { gps } = await parse(buffer);
+
+    assert.equal(gps.GPSLatitudeRef, 'N');
+    assert.deepEqual(gps.GPSLatitude, [51, 30, 2.52]);
+    assert.equal(gps.GPSLongitudeRef, 'W');
+    assert.deepEqual(gps.GPSLongitude, [0, 7, 28.56]);
+    assert.equal(gps.GPSAltitude, 12.5);
+
+    const position = await exifr.gps(buffer);
+    assert.ok(Math.abs(position.latitude - 51.5007) < 1e-6);
+    assert.ok(Math.abs(position.longitude + 0.1246) < 1e-6);
+});
+
+test('leaves out the GPS IFD without a location', async () => {
+    const output = await parse(await embed({ location: null }));
+
+    assert.equal(output.gps, undefined);
+    assert.equal(output.exif.DateTimeOriginal, '2026:05:17 14:30:05');
+});
+
+test('writes event, poses, credit, copyright and hashtag to XMP', async () => {
+    const output = await parse(await embed());
+
+    assert.equal(output.xmp.CreatorTool, 'Photo Booth');
+    assert.equal(output.xmp.CreateDate, PhotoMetadata.formatIsoDate(fields.date));
+    assert.equal(output.dc.creator, 'Acme Events');
+    assert.equal(output.dc.rights.value, '© 2026 Acme Events');
+    assert.equal(output.dc.subject, '#LaunchNight');
+    assert.equal(output.photoshop.Credit, 'Photo: Acme Events');
+    assert.equal(output.Iptc4xmpExt.Event.value, 'Launch Night');
+    assert.equal(output.booth.PoseId, 'pose2,pose4');
+});
+
+test('escapes markup in XMP values', async () => {
+    const buffer = await embed({ eventName: 'Rock & Roll <Live>' });
+    const output = await parse(buffer);
+
+    // exifr returns XML text as written, without decoding entities
+    assert.equal(output.Iptc4xmpExt.Event.value, 'Rock &amp; Roll &lt;Live&gt;');
+    assert.ok(!buffer.toString('utf8').includes('<Live>'));
+});
+
+test('keeps the JFIF header first and the image data intact', async () => {
+    const buffer = await embed();
+    const jfifLength = 4 + fixture.readUInt16BE(4);
+
+    assert.deepEqual(buffer.subarray(0, jfifLength), fixture.subarray(0, jfifLength));
+    // Two APP1 segments (EXIF, then XMP) right after JFIF
+    assert.equal(buffer.readUInt16BE(jfifLength), 0xffe1);
+    assert.equal(buffer.toString('latin1', jfifLength + 4, jfifLength + 8), 'Exif');
+    const xmpAt = jfifLength + 2 + buffer.readUInt16BE(jfifLength + 2);
+    assert.equal(buffer.readUInt16BE(xmpAt), 0xffe1);
+    assert.equal(buffer.toString('latin1', xmpAt + 4, xmpAt + 32), 'http://ns.adobe.com/xap/1.0/');
+    // Everything after the metadata is the original file
+    assert.deepEqual(buffer.subarray(buffer.length - (fixture.length - jfifLength)), fixture.subarray(jfifLength));
+});
+
+test('returns other image types unchanged', async () => {
+    const png = new Blob([Uint8Array.from([0x89, 0x50, 0x4e, 0x47])], { type: 'image/png' });
+
+    assert.equal(await PhotoMetadata.embed(png, fields), png);
+});